@@ -0,0 +1,90 @@
+/**
+ * ChangeX Neurix - Analytics
+ * Client-side metrics reporting
+ */
+
+class AnalyticsManager {
+    constructor(config = {}) {
+        this.api = config.api;
+        this.client = config.client;
+        this.refreshInterval = config.refreshInterval || 60000;
+        this.metricsFlushInterval = config.metricsFlushInterval || this.refreshInterval;
+        this.getContext = config.getContext || (() => ({}));
+        
+        this.lastFlush = Date.now();
+        this.flushTimer = null;
+        this.flushing = null;
+        
+        this.handlePageHide = () => this.flushClientMetrics({ keepalive: true });
+    }
+    
+    // Start periodic metrics flushing
+    start() {
+        if (this.flushTimer) return;
+        
+        this.lastFlush = Date.now();
+        this.flushTimer = setInterval(() => {
+            this.flushClientMetrics();
+        }, this.metricsFlushInterval);
+        
+        // Don't lose the last window when the tab goes away
+        window.addEventListener('pagehide', this.handlePageHide);
+    }
+    
+    stop() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        
+        window.removeEventListener('pagehide', this.handlePageHide);
+        
+        return this.flushClientMetrics();
+    }
+    
+    // Send the metrics recorded since the last flush to the backend
+    async flushClientMetrics(options = {}) {
+        if (this.flushing) return this.flushing;
+        
+        const until = Date.now();
+        const snapshot = this.api.getMetrics({ since: this.lastFlush, until });
+        
+        if (snapshot.totals.count === 0) {
+            this.lastFlush = until;
+            return null;
+        }
+        
+        const payload = {
+            window: {
+                start: new Date(snapshot.since).toISOString(),
+                end: new Date(snapshot.until).toISOString()
+            },
+            context: {
+                user_agent: navigator.userAgent,
+                online: navigator.onLine,
+                ...this.getContext()
+            },
+            totals: snapshot.totals,
+            endpoints: snapshot.endpoints
+        };
+        
+        // A keepalive flush runs as the page goes away, so it can't wait in the limiter's queue
+        this.flushing = this.client.analytics.clientMetrics(payload, {
+            skipMetrics: true,
+            priority: 'low',
+            keepalive: Boolean(options.keepalive),
+            skipRateLimit: Boolean(options.keepalive)
+        }).then(response => {
+            this.lastFlush = until;
+            return response;
+        }).catch(error => {
+            // Keep the window open - the next flush resends these samples
+            console.warn('Failed to send client metrics:', error.message);
+            return null;
+        }).finally(() => {
+            this.flushing = null;
+        });
+        
+        return this.flushing;
+    }
+}
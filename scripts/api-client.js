@@ -0,0 +1,1443 @@
+/**
+ * ChangeX Neurix - API Client
+ * Generated from openapi/neurix-api.json (ChangeX Neurix API 2.0.0)
+ * by tools/generate-api-client.js - do not edit by hand.
+ */
+
+/**
+ * @typedef {Object} LoginRequest
+ * @property {string} username
+ * @property {string} password
+ */
+
+/**
+ * @typedef {Object} RefreshRequest
+ * @property {string} refresh_token
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} token
+ * @property {string} [refresh_token]
+ * @property {User} [user]
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} username
+ * @property {string} [email]
+ * @property {'user'|'premium'|'admin'} [role]
+ */
+
+/**
+ * @typedef {Object} DashboardStatsResponse
+ * @property {{total_requests: (number|undefined), total_images: (number|undefined), total_videos: (number|undefined), total_audio: (number|undefined)}} data
+ */
+
+/**
+ * @typedef {Object} ModelPerformanceResponse
+ * @property {{labels: (Array<string>|undefined), series: (Array<{category: (string|undefined), label: (string|undefined), data: (Array<number>|undefined)}>|undefined)}} data
+ */
+
+/**
+ * @typedef {Object} DashboardLayout
+ * @property {1} version
+ * @property {Array<{id: string, size: number}>} widgets
+ */
+
+/**
+ * @typedef {Object} DashboardLayoutResponse
+ * @property {(DashboardLayout|null)} data
+ */
+
+/**
+ * @typedef {Object} ActivityResponse
+ * @property {Array<{id: (string|undefined), type: (string|undefined), title: (string|undefined), timestamp: (string|undefined)}>} data
+ */
+
+/**
+ * @typedef {Object} HealthResponse
+ * @property {{status: (string|undefined), services: (Array<{name: (string|undefined), status: (string|undefined)}>|undefined)}} data
+ */
+
+/**
+ * @typedef {Object} Model
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [category]
+ * @property {string} [status]
+ * @property {Array<Object>} [parameters]
+ */
+
+/**
+ * @typedef {Object} GeneratedMedia
+ * @property {string} id
+ * @property {string} url
+ * @property {'image'|'video'|'audio'} [type]
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {'image'|'video'|'audio'} [type]
+ * @property {'queued'|'running'|'completed'|'failed'|'cancelled'} status
+ * @property {number} [progress]
+ * @property {(number|null)} [eta]
+ * @property {(number|null)} [position]
+ * @property {(GeneratedMedia|null)} [result]
+ * @property {({code: (string|undefined), message: (string|undefined)}|null)} [error]
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} ImageGenerationRequest
+ * @property {string} prompt
+ * @property {string} [negative_prompt]
+ * @property {string} [model]
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {number} [steps]
+ * @property {number} [seed]
+ */
+
+/**
+ * @typedef {Object} VideoGenerationRequest
+ * @property {string} text
+ * @property {string} [model]
+ * @property {number} [duration]
+ */
+
+/**
+ * @typedef {Object} TextToSpeechRequest
+ * @property {string} text
+ * @property {string} [model]
+ * @property {string} [voice]
+ * @property {number} [speed]
+ */
+
+/**
+ * @typedef {Object} DeviceControlRequest
+ * @property {string} action
+ */
+
+/**
+ * @typedef {Object} DeviceState
+ * @property {string} id
+ * @property {string} status
+ * @property {Object} [data]
+ */
+
+/**
+ * @typedef {Object} WorkflowInput
+ * @property {string} name
+ * @property {Object} [trigger]
+ * @property {Array<Object>} [steps]
+ */
+
+/**
+ * @typedef {Object} Workflow
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [status]
+ */
+
+/**
+ * @typedef {Object} PaymentRequest
+ * @property {number} amount
+ * @property {string} method
+ * @property {string} [currency]
+ */
+
+/**
+ * @typedef {Object} Payment
+ * @property {string} id
+ * @property {string} status
+ * @property {boolean} [requiresApproval]
+ */
+
+/**
+ * @typedef {Object} ApprovePremiumRequest
+ * @property {string} [notes]
+ */
+
+/**
+ * @typedef {Object} ClientMetricsReport
+ * @property {{start: (string|undefined), end: (string|undefined)}} window
+ * @property {Object} [context]
+ * @property {Object} totals
+ * @property {Array<Object>} endpoints
+ */
+
+/**
+ * @template T
+ * @typedef {Object} NeurixResponse
+ * @property {boolean} success
+ * @property {number} status
+ * @property {T} data
+ * @property {Object<string, string>} headers
+ */
+
+const NEURIX_API_SCHEMAS = {
+    "LoginRequest": {
+        "type": "object",
+        "required": [
+            "username",
+            "password"
+        ],
+        "properties": {
+            "username": {
+                "type": "string",
+                "minLength": 1
+            },
+            "password": {
+                "type": "string",
+                "minLength": 1
+            }
+        }
+    },
+    "RefreshRequest": {
+        "type": "object",
+        "required": [
+            "refresh_token"
+        ],
+        "properties": {
+            "refresh_token": {
+                "type": "string"
+            }
+        }
+    },
+    "Session": {
+        "type": "object",
+        "required": [
+            "token"
+        ],
+        "properties": {
+            "token": {
+                "type": "string"
+            },
+            "refresh_token": {
+                "type": "string"
+            },
+            "user": {
+                "$ref": "#/components/schemas/User"
+            }
+        }
+    },
+    "User": {
+        "type": "object",
+        "required": [
+            "id",
+            "username"
+        ],
+        "properties": {
+            "id": {
+                "type": "string"
+            },
+            "username": {
+                "type": "string"
+            },
+            "email": {
+                "type": "string"
+            },
+            "role": {
+                "type": "string",
+                "enum": [
+                    "user",
+                    "premium",
+                    "admin"
+                ]
+            }
+        }
+    },
+    "DashboardStatsResponse": {
+        "type": "object",
+        "required": [
+            "data"
+        ],
+        "properties": {
+            "data": {
+                "type": "object",
+                "properties": {
+                    "total_requests": {
+                        "type": "integer"
+                    },
+                    "total_images": {
+                        "type": "integer"
+                    },
+                    "total_videos": {
+                        "type": "integer"
+                    },
+                    "total_audio": {
+                        "type": "integer"
+                    }
+                }
+            }
+        }
+    },
+    "ModelPerformanceResponse": {
+        "type": "object",
+        "required": [
+            "data"
+        ],
+        "properties": {
+            "data": {
+                "type": "object",
+                "properties": {
+                    "labels": {
+                        "type": "array",
+                        "items": {
+                            "type": "string"
+                        }
+                    },
+                    "series": {
+                        "type": "array",
+                        "items": {
+                            "type": "object",
+                            "properties": {
+                                "category": {
+                                    "type": "string"
+                                },
+                                "label": {
+                                    "type": "string"
+                                },
+                                "data": {
+                                    "type": "array",
+                                    "items": {
+                                        "type": "number"
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    "DashboardLayout": {
+        "type": "object",
+        "required": [
+            "version",
+            "widgets"
+        ],
+        "properties": {
+            "version": {
+                "type": "integer",
+                "enum": [
+                    1
+                ]
+            },
+            "widgets": {
+                "type": "array",
+                "description": "Visible cards in display order; size is the width in grid columns",
+                "items": {
+                    "type": "object",
+                    "required": [
+                        "id",
+                        "size"
+                    ],
+                    "properties": {
+                        "id": {
+                            "type": "string"
+                        },
+                        "size": {
+                            "type": "integer",
+                            "minimum": 1,
+                            "maximum": 12
+                        }
+                    }
+                }
+            }
+        }
+    },
+    "DashboardLayoutResponse": {
+        "type": "object",
+        "required": [
+            "data"
+        ],
+        "properties": {
+            "data": {
+                "$ref": "#/components/schemas/DashboardLayout",
+                "nullable": true
+            }
+        }
+    },
+    "ActivityResponse": {
+        "type": "object",
+        "required": [
+            "data"
+        ],
+        "properties": {
+            "data": {
+                "type": "array",
+                "items": {
+                    "type": "object",
+                    "properties": {
+                        "id": {
+                            "type": "string"
+                        },
+                        "type": {
+                            "type": "string"
+                        },
+                        "title": {
+                            "type": "string"
+                        },
+                        "timestamp": {
+                            "type": "string"
+                        }
+                    }
+                }
+            }
+        }
+    },
+    "HealthResponse": {
+        "type": "object",
+        "required": [
+            "data"
+        ],
+        "properties": {
+            "data": {
+                "type": "object",
+                "properties": {
+                    "status": {
+                        "type": "string"
+                    },
+                    "services": {
+                        "type": "array",
+                        "items": {
+                            "type": "object",
+                            "properties": {
+                                "name": {
+                                    "type": "string"
+                                },
+                                "status": {
+                                    "type": "string"
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    "Model": {
+        "type": "object",
+        "required": [
+            "id",
+            "name"
+        ],
+        "properties": {
+            "id": {
+                "type": "string"
+            },
+            "name": {
+                "type": "string"
+            },
+            "category": {
+                "type": "string"
+            },
+            "status": {
+                "type": "string"
+            },
+            "parameters": {
+                "type": "array",
+                "items": {
+                    "type": "object"
+                }
+            }
+        }
+    },
+    "GeneratedMedia": {
+        "type": "object",
+        "required": [
+            "id",
+            "url"
+        ],
+        "properties": {
+            "id": {
+                "type": "string"
+            },
+            "url": {
+                "type": "string"
+            },
+            "type": {
+                "type": "string",
+                "enum": [
+                    "image",
+                    "video",
+                    "audio"
+                ]
+            },
+            "created_at": {
+                "type": "string"
+            }
+        }
+    },
+    "Job": {
+        "type": "object",
+        "required": [
+            "id",
+            "status"
+        ],
+        "properties": {
+            "id": {
+                "type": "string"
+            },
+            "type": {
+                "type": "string",
+                "enum": [
+                    "image",
+                    "video",
+                    "audio"
+                ]
+            },
+            "status": {
+                "type": "string",
+                "enum": [
+                    "queued",
+                    "running",
+                    "completed",
+                    "failed",
+                    "cancelled"
+                ]
+            },
+            "progress": {
+                "type": "number",
+                "minimum": 0,
+                "maximum": 100
+            },
+            "eta": {
+                "type": "integer",
+                "nullable": true,
+                "description": "Seconds until completion"
+            },
+            "position": {
+                "type": "integer",
+                "nullable": true,
+                "description": "Place in the queue while queued"
+            },
+            "result": {
+                "$ref": "#/components/schemas/GeneratedMedia",
+                "nullable": true
+            },
+            "error": {
+                "type": "object",
+                "nullable": true,
+                "properties": {
+                    "code": {
+                        "type": "string"
+                    },
+                    "message": {
+                        "type": "string"
+                    }
+                }
+            },
+            "created_at": {
+                "type": "string"
+            }
+        }
+    },
+    "ImageGenerationRequest": {
+        "type": "object",
+        "required": [
+            "prompt"
+        ],
+        "properties": {
+            "prompt": {
+                "type": "string",
+                "minLength": 1,
+                "maxLength": 2000
+            },
+            "negative_prompt": {
+                "type": "string",
+                "maxLength": 2000
+            },
+            "model": {
+                "type": "string"
+            },
+            "width": {
+                "type": "integer",
+                "minimum": 64,
+                "maximum": 4096
+            },
+            "height": {
+                "type": "integer",
+                "minimum": 64,
+                "maximum": 4096
+            },
+            "steps": {
+                "type": "integer",
+                "minimum": 1,
+                "maximum": 150
+            },
+            "seed": {
+                "type": "integer"
+            }
+        }
+    },
+    "VideoGenerationRequest": {
+        "type": "object",
+        "required": [
+            "text"
+        ],
+        "properties": {
+            "text": {
+                "type": "string",
+                "minLength": 1
+            },
+            "model": {
+                "type": "string"
+            },
+            "duration": {
+                "type": "integer",
+                "minimum": 1,
+                "maximum": 300
+            }
+        }
+    },
+    "TextToSpeechRequest": {
+        "type": "object",
+        "required": [
+            "text"
+        ],
+        "properties": {
+            "text": {
+                "type": "string",
+                "minLength": 1
+            },
+            "model": {
+                "type": "string"
+            },
+            "voice": {
+                "type": "string"
+            },
+            "speed": {
+                "type": "number",
+                "minimum": 0.25,
+                "maximum": 4
+            }
+        }
+    },
+    "DeviceControlRequest": {
+        "type": "object",
+        "required": [
+            "action"
+        ],
+        "properties": {
+            "action": {
+                "type": "string",
+                "minLength": 1
+            }
+        }
+    },
+    "DeviceState": {
+        "type": "object",
+        "required": [
+            "id",
+            "status"
+        ],
+        "properties": {
+            "id": {
+                "type": "string"
+            },
+            "status": {
+                "type": "string"
+            },
+            "data": {
+                "type": "object"
+            }
+        }
+    },
+    "WorkflowInput": {
+        "type": "object",
+        "required": [
+            "name"
+        ],
+        "properties": {
+            "name": {
+                "type": "string",
+                "minLength": 1,
+                "maxLength": 200
+            },
+            "trigger": {
+                "type": "object"
+            },
+            "steps": {
+                "type": "array",
+                "items": {
+                    "type": "object"
+                }
+            }
+        }
+    },
+    "Workflow": {
+        "type": "object",
+        "required": [
+            "id",
+            "name"
+        ],
+        "properties": {
+            "id": {
+                "type": "string"
+            },
+            "name": {
+                "type": "string"
+            },
+            "status": {
+                "type": "string"
+            }
+        }
+    },
+    "PaymentRequest": {
+        "type": "object",
+        "required": [
+            "amount",
+            "method"
+        ],
+        "properties": {
+            "amount": {
+                "type": "number",
+                "minimum": 0.01
+            },
+            "method": {
+                "type": "string"
+            },
+            "currency": {
+                "type": "string",
+                "pattern": "^[A-Z]{3}$"
+            }
+        }
+    },
+    "Payment": {
+        "type": "object",
+        "required": [
+            "id",
+            "status"
+        ],
+        "properties": {
+            "id": {
+                "type": "string"
+            },
+            "status": {
+                "type": "string"
+            },
+            "requiresApproval": {
+                "type": "boolean"
+            }
+        }
+    },
+    "ApprovePremiumRequest": {
+        "type": "object",
+        "properties": {
+            "notes": {
+                "type": "string",
+                "maxLength": 1000
+            }
+        }
+    },
+    "ClientMetricsReport": {
+        "type": "object",
+        "required": [
+            "window",
+            "totals",
+            "endpoints"
+        ],
+        "properties": {
+            "window": {
+                "type": "object",
+                "properties": {
+                    "start": {
+                        "type": "string"
+                    },
+                    "end": {
+                        "type": "string"
+                    }
+                }
+            },
+            "context": {
+                "type": "object"
+            },
+            "totals": {
+                "type": "object"
+            },
+            "endpoints": {
+                "type": "array",
+                "items": {
+                    "type": "object"
+                }
+            }
+        }
+    }
+};
+
+const NEURIX_API_OPERATIONS = {
+    "auth.login": {
+        "method": "POST",
+        "path": "/auth/login",
+        "query": null,
+        "body": {
+            "required": true,
+            "schema": {
+                "$ref": "#/components/schemas/LoginRequest"
+            }
+        },
+        "response": {
+            "$ref": "#/components/schemas/Session"
+        },
+        "idempotent": false
+    },
+    "auth.logout": {
+        "method": "POST",
+        "path": "/auth/logout",
+        "query": null,
+        "body": null,
+        "response": null,
+        "idempotent": false
+    },
+    "auth.refresh": {
+        "method": "POST",
+        "path": "/auth/refresh",
+        "query": null,
+        "body": {
+            "required": true,
+            "schema": {
+                "$ref": "#/components/schemas/RefreshRequest"
+            }
+        },
+        "response": {
+            "$ref": "#/components/schemas/Session"
+        },
+        "idempotent": false
+    },
+    "dashboard.stats": {
+        "method": "GET",
+        "path": "/dashboard/stats",
+        "query": null,
+        "body": null,
+        "response": {
+            "$ref": "#/components/schemas/DashboardStatsResponse"
+        },
+        "idempotent": false
+    },
+    "dashboard.performance": {
+        "method": "GET",
+        "path": "/dashboard/performance",
+        "query": {
+            "type": "object",
+            "required": [],
+            "properties": {
+                "days": {
+                    "type": "integer",
+                    "enum": [
+                        7,
+                        30,
+                        90
+                    ]
+                }
+            }
+        },
+        "body": null,
+        "response": {
+            "$ref": "#/components/schemas/ModelPerformanceResponse"
+        },
+        "idempotent": false
+    },
+    "dashboard.layout.get": {
+        "method": "GET",
+        "path": "/dashboard/layout",
+        "query": null,
+        "body": null,
+        "response": {
+            "$ref": "#/components/schemas/DashboardLayoutResponse"
+        },
+        "idempotent": false
+    },
+    "dashboard.layout.save": {
+        "method": "PUT",
+        "path": "/dashboard/layout",
+        "query": null,
+        "body": {
+            "required": true,
+            "schema": {
+                "$ref": "#/components/schemas/DashboardLayout"
+            }
+        },
+        "response": {
+            "$ref": "#/components/schemas/DashboardLayoutResponse"
+        },
+        "idempotent": false
+    },
+    "activity.recent": {
+        "method": "GET",
+        "path": "/activity/recent",
+        "query": {
+            "type": "object",
+            "required": [],
+            "properties": {
+                "limit": {
+                    "type": "integer",
+                    "minimum": 1,
+                    "maximum": 100
+                }
+            }
+        },
+        "body": null,
+        "response": {
+            "$ref": "#/components/schemas/ActivityResponse"
+        },
+        "idempotent": false
+    },
+    "health.get": {
+        "method": "GET",
+        "path": "/health",
+        "query": null,
+        "body": null,
+        "response": {
+            "$ref": "#/components/schemas/HealthResponse"
+        },
+        "idempotent": false
+    },
+    "models.list": {
+        "method": "GET",
+        "path": "/models",
+        "query": null,
+        "body": null,
+        "response": {
+            "type": "array",
+            "items": {
+                "$ref": "#/components/schemas/Model"
+            }
+        },
+        "idempotent": false
+    },
+    "models.get": {
+        "method": "GET",
+        "path": "/models/{category}",
+        "query": null,
+        "body": null,
+        "response": {
+            "$ref": "#/components/schemas/Model"
+        },
+        "idempotent": false
+    },
+    "generations.images.recent": {
+        "method": "GET",
+        "path": "/generations/images/recent",
+        "query": {
+            "type": "object",
+            "required": [],
+            "properties": {
+                "limit": {
+                    "type": "integer",
+                    "minimum": 1,
+                    "maximum": 100
+                }
+            }
+        },
+        "body": null,
+        "response": {
+            "type": "array",
+            "items": {
+                "$ref": "#/components/schemas/GeneratedMedia"
+            }
+        },
+        "idempotent": false
+    },
+    "imageGeneration.generate": {
+        "method": "POST",
+        "path": "/image-generation/generate",
+        "query": null,
+        "body": {
+            "required": true,
+            "schema": {
+                "$ref": "#/components/schemas/ImageGenerationRequest"
+            }
+        },
+        "response": {
+            "$ref": "#/components/schemas/Job"
+        },
+        "idempotent": true
+    },
+    "videoGeneration.generate": {
+        "method": "POST",
+        "path": "/video-generation/generate",
+        "query": null,
+        "body": {
+            "required": true,
+            "schema": {
+                "$ref": "#/components/schemas/VideoGenerationRequest"
+            }
+        },
+        "response": {
+            "$ref": "#/components/schemas/Job"
+        },
+        "idempotent": true
+    },
+    "audioProcessing.textToSpeech": {
+        "method": "POST",
+        "path": "/audio-processing/text-to-speech",
+        "query": null,
+        "body": {
+            "required": true,
+            "schema": {
+                "$ref": "#/components/schemas/TextToSpeechRequest"
+            }
+        },
+        "response": {
+            "$ref": "#/components/schemas/Job"
+        },
+        "idempotent": true
+    },
+    "jobs.get": {
+        "method": "GET",
+        "path": "/jobs/{jobId}",
+        "query": null,
+        "body": null,
+        "response": {
+            "$ref": "#/components/schemas/Job"
+        },
+        "idempotent": false
+    },
+    "jobs.cancel": {
+        "method": "POST",
+        "path": "/jobs/{jobId}/cancel",
+        "query": null,
+        "body": null,
+        "response": {
+            "$ref": "#/components/schemas/Job"
+        },
+        "idempotent": false
+    },
+    "iot.devices.list": {
+        "method": "GET",
+        "path": "/iot/devices",
+        "query": null,
+        "body": null,
+        "response": {
+            "type": "array",
+            "items": {
+                "$ref": "#/components/schemas/DeviceState"
+            }
+        },
+        "idempotent": false
+    },
+    "iot.devices.control": {
+        "method": "POST",
+        "path": "/iot/devices/{deviceId}/control",
+        "query": null,
+        "body": {
+            "required": true,
+            "schema": {
+                "$ref": "#/components/schemas/DeviceControlRequest"
+            }
+        },
+        "response": {
+            "$ref": "#/components/schemas/DeviceState"
+        },
+        "idempotent": false
+    },
+    "automation.workflows.list": {
+        "method": "GET",
+        "path": "/automation/workflows",
+        "query": null,
+        "body": null,
+        "response": {
+            "type": "array",
+            "items": {
+                "$ref": "#/components/schemas/Workflow"
+            }
+        },
+        "idempotent": false
+    },
+    "automation.workflows.create": {
+        "method": "POST",
+        "path": "/automation/workflows",
+        "query": null,
+        "body": {
+            "required": true,
+            "schema": {
+                "$ref": "#/components/schemas/WorkflowInput"
+            }
+        },
+        "response": {
+            "$ref": "#/components/schemas/Workflow"
+        },
+        "idempotent": false
+    },
+    "payments.create": {
+        "method": "POST",
+        "path": "/payments/create",
+        "query": null,
+        "body": {
+            "required": true,
+            "schema": {
+                "$ref": "#/components/schemas/PaymentRequest"
+            }
+        },
+        "response": {
+            "$ref": "#/components/schemas/Payment"
+        },
+        "idempotent": true
+    },
+    "admin.users.list": {
+        "method": "GET",
+        "path": "/admin/users",
+        "query": {
+            "type": "object",
+            "required": [],
+            "properties": {
+                "status": {
+                    "type": "string",
+                    "enum": [
+                        "all",
+                        "pending",
+                        "premium"
+                    ]
+                },
+                "page": {
+                    "type": "integer",
+                    "minimum": 1
+                }
+            }
+        },
+        "body": null,
+        "response": {
+            "type": "array",
+            "items": {
+                "$ref": "#/components/schemas/User"
+            }
+        },
+        "idempotent": false
+    },
+    "admin.users.approvePremium": {
+        "method": "POST",
+        "path": "/admin/users/{userId}/approve-premium",
+        "query": null,
+        "body": {
+            "required": false,
+            "schema": {
+                "$ref": "#/components/schemas/ApprovePremiumRequest"
+            }
+        },
+        "response": {
+            "$ref": "#/components/schemas/User"
+        },
+        "idempotent": false
+    },
+    "analytics.clientMetrics": {
+        "method": "POST",
+        "path": "/analytics/client-metrics",
+        "query": null,
+        "body": {
+            "required": true,
+            "schema": {
+                "$ref": "#/components/schemas/ClientMetricsReport"
+            }
+        },
+        "response": null,
+        "idempotent": false
+    }
+};
+
+class NeurixAPIClient {
+    /**
+     * @param {NeurixAPI} api
+     * @param {Object} [options]
+     * @param {boolean} [options.validate=false] - check requests and responses against the spec (development only)
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.validate = Boolean(options.validate);
+        this.validator = new NeurixSchemaValidator(NEURIX_API_SCHEMAS);
+        
+        this.auth = {
+            /**
+             * Sign in with username and password
+             * @param {LoginRequest} body
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<Session>>}
+             */
+            login: (body, options) => this.call('auth.login', {}, body, options),
+            
+            /**
+             * End the current session
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<null>>}
+             */
+            logout: (options) => this.call('auth.logout', {}, null, options),
+            
+            /**
+             * Exchange a refresh token for a new access token
+             * @param {RefreshRequest} body
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<Session>>}
+             */
+            refresh: (body, options) => this.call('auth.refresh', {}, body, options)
+        };
+        
+        this.dashboard = {
+            /**
+             * Usage totals for the dashboard
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<DashboardStatsResponse>>}
+             */
+            stats: (options) => this.call('dashboard.stats', {}, null, options),
+            
+            /**
+             * Daily request counts per model category for the performance chart
+             * @param {{days: (7|30|90|undefined)}} [query]
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<ModelPerformanceResponse>>}
+             */
+            performance: (query, options) => this.call('dashboard.performance', {}, query, options),
+            
+            layout: {
+                /**
+                 * The user's saved dashboard layout; data is null until one is saved
+                 * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+                 * @returns {Promise<NeurixResponse<DashboardLayoutResponse>>}
+                 */
+                get: (options) => this.call('dashboard.layout.get', {}, null, options),
+                
+                /**
+                 * Replace the user's dashboard layout
+                 * @param {DashboardLayout} body
+                 * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+                 * @returns {Promise<NeurixResponse<DashboardLayoutResponse>>}
+                 */
+                save: (body, options) => this.call('dashboard.layout.save', {}, body, options)
+            }
+        };
+        
+        this.activity = {
+            /**
+             * Recent account activity
+             * @param {{limit: (number|undefined)}} [query]
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<ActivityResponse>>}
+             */
+            recent: (query, options) => this.call('activity.recent', {}, query, options)
+        };
+        
+        this.health = {
+            /**
+             * Platform health by service
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<HealthResponse>>}
+             */
+            get: (options) => this.call('health.get', {}, null, options)
+        };
+        
+        this.models = {
+            /**
+             * All models available to the user
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<Array<Model>>>}
+             */
+            list: (options) => this.call('models.list', {}, null, options),
+            
+            /**
+             * Default model and parameters for a category
+             * @param {'text'|'image'|'video'|'audio'|'code'} category
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<Model>>}
+             */
+            get: (category, options) => this.call('models.get', { category }, null, options)
+        };
+        
+        this.generations = {
+            images: {
+                /**
+                 * The user's recent image generations
+                 * @param {{limit: (number|undefined)}} [query]
+                 * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+                 * @returns {Promise<NeurixResponse<Array<GeneratedMedia>>>}
+                 */
+                recent: (query, options) => this.call('generations.images.recent', {}, query, options)
+            }
+        };
+        
+        this.imageGeneration = {
+            /**
+             * Queue an image generation job
+             * @param {ImageGenerationRequest} body
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<Job>>}
+             */
+            generate: (body, options) => this.call('imageGeneration.generate', {}, body, options)
+        };
+        
+        this.videoGeneration = {
+            /**
+             * Queue a video generation job
+             * @param {VideoGenerationRequest} body
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<Job>>}
+             */
+            generate: (body, options) => this.call('videoGeneration.generate', {}, body, options)
+        };
+        
+        this.audioProcessing = {
+            /**
+             * Queue a speech synthesis job
+             * @param {TextToSpeechRequest} body
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<Job>>}
+             */
+            textToSpeech: (body, options) => this.call('audioProcessing.textToSpeech', {}, body, options)
+        };
+        
+        this.jobs = {
+            /**
+             * Current state of a generation job
+             * @param {string} jobId
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<Job>>}
+             */
+            get: (jobId, options) => this.call('jobs.get', { jobId }, null, options),
+            
+            /**
+             * Cancel a queued or running job
+             * @param {string} jobId
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<Job>>}
+             */
+            cancel: (jobId, options) => this.call('jobs.cancel', { jobId }, null, options)
+        };
+        
+        this.iot = {
+            devices: {
+                /**
+                 * The user's devices and their last reported state
+                 * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+                 * @returns {Promise<NeurixResponse<Array<DeviceState>>>}
+                 */
+                list: (options) => this.call('iot.devices.list', {}, null, options),
+                
+                /**
+                 * Send a command to a device
+                 * @param {string} deviceId
+                 * @param {DeviceControlRequest} body
+                 * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+                 * @returns {Promise<NeurixResponse<DeviceState>>}
+                 */
+                control: (deviceId, body, options) => this.call('iot.devices.control', { deviceId }, body, options)
+            }
+        };
+        
+        this.automation = {
+            workflows: {
+                /**
+                 * The user's automation workflows
+                 * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+                 * @returns {Promise<NeurixResponse<Array<Workflow>>>}
+                 */
+                list: (options) => this.call('automation.workflows.list', {}, null, options),
+                
+                /**
+                 * Create an automation workflow
+                 * @param {WorkflowInput} body
+                 * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+                 * @returns {Promise<NeurixResponse<Workflow>>}
+                 */
+                create: (body, options) => this.call('automation.workflows.create', {}, body, options)
+            }
+        };
+        
+        this.payments = {
+            /**
+             * Charge the user's payment method
+             * @param {PaymentRequest} body
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<Payment>>}
+             */
+            create: (body, options) => this.call('payments.create', {}, body, options)
+        };
+        
+        this.admin = {
+            users: {
+                /**
+                 * Users, optionally only those waiting for premium approval
+                 * @param {{status: ('all'|'pending'|'premium'|undefined), page: (number|undefined)}} [query]
+                 * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+                 * @returns {Promise<NeurixResponse<Array<User>>>}
+                 */
+                list: (query, options) => this.call('admin.users.list', {}, query, options),
+                
+                /**
+                 * Grant premium access to a user
+                 * @param {string} userId
+                 * @param {ApprovePremiumRequest} [body]
+                 * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+                 * @returns {Promise<NeurixResponse<User>>}
+                 */
+                approvePremium: (userId, body, options) => this.call('admin.users.approvePremium', { userId }, body, options)
+            }
+        };
+        
+        this.analytics = {
+            /**
+             * Report client-side request metrics
+             * @param {ClientMetricsReport} body
+             * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)
+             * @returns {Promise<NeurixResponse<null>>}
+             */
+            clientMetrics: (body, options) => this.call('analytics.clientMetrics', {}, body, options)
+        };
+    }
+    
+    async call(operationId, pathParams, data, options = {}) {
+        const operation = NEURIX_API_OPERATIONS[operationId];
+        
+        const endpoint = operation.path.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = pathParams[name];
+            if (value === undefined || value === null || value === '') {
+                throw new ValidationError(`Missing path parameter "${name}" for ${operationId}`, {
+                    errors: { [name]: ['is required'] }
+                });
+            }
+            return encodeURIComponent(value);
+        });
+        
+        if (this.validate) {
+            this.validateRequest(operationId, operation, data);
+        }
+        
+        const response = await this.api.request(operation.method, endpoint, data, {
+            ...(operation.idempotent ? { idempotent: true } : {}),
+            ...options
+        });
+        
+        if (this.validate && operation.response && response.status !== 304) {
+            const errors = this.validator.validate(response.data, operation.response);
+            if (errors.length > 0) {
+                console.warn(`${operationId}: response does not match the API spec`, errors);
+            }
+        }
+        
+        return response;
+    }
+    
+    // Throws the same ValidationError a 422 would, so forms show it inline
+    validateRequest(operationId, operation, data) {
+        let errors = [];
+        
+        if (operation.body) {
+            if (data === null || data === undefined) {
+                if (operation.body.required) errors.push({ field: '_', message: 'Request body is required' });
+            } else {
+                errors = this.validator.validate(data, operation.body.schema);
+            }
+        } else if (operation.query && data) {
+            errors = this.validator.validate(data, operation.query);
+        }
+        
+        if (errors.length > 0) {
+            throw new ValidationError(`${operationId}: request does not match the API spec`, {
+                code: 'CLIENT_VALIDATION',
+                errors
+            });
+        }
+    }
+}
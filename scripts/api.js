@@ -7,14 +7,71 @@ class NeurixAPI {
     constructor(config = {}) {
         this.baseUrl = config.baseUrl || '/api/v2';
         this.token = config.token || null;
+        this.refreshToken = config.refreshToken || null;
+        this.refreshEndpoint = config.refreshEndpoint || '/auth/refresh';
+        this.refreshPromise = null;
+        this.sessionExpired = false;
         this.onTokenExpired = config.onTokenExpired || null;
+        this.onTokenRefreshed = config.onTokenRefreshed || null;
         this.onRateLimitExceeded = config.onRateLimitExceeded || null;
+        this.timeout = config.timeout || 30000; // 30 seconds
+        this.batchEndpoint = config.batchEndpoint || '/batch';
+        this.rateLimiter = config.rateLimit ? new NeurixRateLimiter(config.rateLimit) : null;
+        
+        // Automatic retries - idempotent methods always, POST/PATCH only with an Idempotency-Key
+        this.retryPolicy = {
+            retries: 2,
+            baseDelay: 500,
+            maxDelay: 8000,
+            maxRetryAfter: 60000,
+            retryOn: [408, 429, 500, 502, 503, 504],
+            ...config.retry
+        };
+        
+        // Uploads
+        this.maxFileSize = config.maxFileSize || null;
+        this.chunkSize = config.chunkSize || 5 * 1024 * 1024; // 5MB
+        this.chunkThreshold = config.chunkThreshold || 20 * 1024 * 1024; // 20MB
+        
+        // Response cache
+        this.responseCache = new NeurixResponseCache(config.cache || {});
+        
+        // Network log for the inspector (kept per tab across reloads)
+        this.networkLogSize = config.networkLogSize || 200;
+        this.networkLog = this.loadNetworkLog();
+        this.networkListeners = new Set();
+        this.networkLogTimer = null;
+        
+        // Latency/error metrics over a sliding window
+        this.metrics = new NeurixMetrics(config.metrics || {});
+        
+        // GraphQL
+        this.graphqlEndpoint = config.graphqlEndpoint || '/graphql';
+        this.persistedQueries = config.persistedQueries !== false;
+        this.queryHashes = new Map();
+        this.graphCache = new NeurixGraphCache(config.graphCache || {});
+        this.socket = config.socket || null;
         
         this.requests = {};
+        this.controllers = {};
+        this.inflight = new Map();
+        this.dedupeStats = { hits: 0, misses: 0 };
         this.queue = [];
         this.isProcessingQueue = false;
         
+        // Mock layer
+        this.mocks = [];
+        this.mockOptions = {
+            enabled: config.enableMocks !== false,
+            failOnUnmocked: config.failOnUnmocked || false,
+            delay: config.mockDelay || 0
+        };
+        
         this.initialize();
+        
+        if (this.token) {
+            this.setToken(this.token, this.refreshToken);
+        }
     }
     
     initialize() {
@@ -31,25 +88,188 @@ class NeurixAPI {
         };
     }
     
-    setToken(token) {
+    setToken(token, refreshToken = this.refreshToken) {
         this.token = token;
         if (token) {
+            this.refreshToken = refreshToken || null;
+            this.sessionExpired = false;
             this.defaultHeaders['Authorization'] = `Bearer ${token}`;
         } else {
+            this.refreshToken = null;
             delete this.defaultHeaders['Authorization'];
         }
     }
     
+    // Exchange the refresh token for a new pair. Concurrent callers share one call.
+    async refreshAccessToken() {
+        if (!this.refreshToken) return false;
+        
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.request('POST', this.refreshEndpoint, {
+                refresh_token: this.refreshToken
+            }, { skipAuthRefresh: true })
+                .then(response => {
+                    const { token, refresh_token } = response.data || {};
+                    
+                    if (!token) {
+                        throw new Error('Token refresh response did not include a token');
+                    }
+                    
+                    this.setToken(token, refresh_token || this.refreshToken);
+                    
+                    if (this.onTokenRefreshed) {
+                        this.onTokenRefreshed(this.token, this.refreshToken);
+                    }
+                    
+                    return true;
+                })
+                .catch(error => {
+                    console.warn('Token refresh failed:', error);
+                    
+                    // The refresh token is spent - don't try it again
+                    this.refreshToken = null;
+                    this.expireSession();
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        
+        return this.refreshPromise;
+    }
+    
+    // Report an expired session once, however many requests fail with it, until a new token is set
+    expireSession() {
+        if (this.sessionExpired) return;
+        
+        this.sessionExpired = true;
+        if (this.onTokenExpired) {
+            this.onTokenExpired();
+        }
+    }
+    
+    // options.retry          - false to disable, a number of retries, or a partial retry policy
+    // options.idempotent     - add an auto-generated Idempotency-Key so POST/PATCH can be retried
+    // options.idempotencyKey - use this key instead of generating one
+    // options.skipRateLimit  - don't wait for a rate limit slot (e.g. a keepalive send as the page closes)
     async request(method, endpoint, data = null, options = {}) {
-        const requestId = this.generateRequestId();
+        // Identical GETs already in flight share one network call (opt out with dedupe: false)
+        if (method === 'GET' && options.dedupe !== false) {
+            return this.dedupedRequest(method, endpoint, data, options);
+        }
+        
+        const { retry, idempotent, idempotencyKey, ...requestOptions } = options;
+        const requestId = options.requestId || this.generateRequestId();
+        const headers = { ...options.headers };
+        
+        // The same key is sent on every attempt so the server can drop duplicates
+        if (idempotencyKey || idempotent) {
+            headers['Idempotency-Key'] = idempotencyKey || this.generateIdempotencyKey();
+        }
+        
+        const policy = this.getRetryPolicy(retry);
+        const attemptOptions = { ...requestOptions, requestId, headers };
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.performRequest(method, endpoint, data, attemptOptions);
+            } catch (error) {
+                const wait = this.getRetryDelay(error, method, headers, policy, attempt);
+                if (wait === null) throw error;
+                
+                console.warn(`Retrying ${method} ${endpoint} in ${Math.round(wait)}ms (attempt ${attempt + 2})`);
+                const record = this.requests[requestId] || {};
+                record.status = 'retrying';
+                record.retries = attempt + 1;
+                
+                // Stay cancellable (by id, tag or signal) while backing off
+                const backoff = new AbortController();
+                this.linkAbortSignal(backoff, options.signal);
+                this.controllers[requestId] = backoff;
+                
+                try {
+                    await this.abortable(this.delay(wait), backoff.signal);
+                } catch (abortError) {
+                    record.status = 'cancelled';
+                    throw this.createAbortError(false);
+                } finally {
+                    delete this.controllers[requestId];
+                }
+            }
+        }
+    }
+    
+    getRetryPolicy(retry) {
+        if (retry === false) return null;
+        if (typeof retry === 'number') return { ...this.retryPolicy, retries: retry };
+        return { ...this.retryPolicy, ...retry };
+    }
+    
+    // Milliseconds to wait before the next attempt, or null when the error is final
+    getRetryDelay(error, method, headers, policy, attempt) {
+        if (!policy || attempt >= policy.retries || error.cancelled) return null;
+        
+        const idempotent = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'].includes(method) ||
+            Boolean(headers['Idempotency-Key']);
+        if (!idempotent) return null;
+        
+        const retryable = error instanceof NetworkError || error.timedOut ||
+            policy.retryOn.includes(error.status);
+        if (!retryable) return null;
+        
+        // Honor Retry-After unless it asks for longer than we're willing to hold the caller
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return error.retryAfter <= policy.maxRetryAfter ? error.retryAfter : null;
+        }
+        
+        // Exponential backoff with full jitter
+        return Math.random() * Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+    }
+    
+    generateIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `idem_${Date.now()}_${Math.random().toString(36).substr(2, 12)}`;
+    }
+    
+    // Single attempt of request(): interceptors, tracking, timeout and error mapping
+    async performRequest(method, endpoint, data = null, options = {}) {
+        // Client-side options are not forwarded to fetch
+        const { requestId: customId, timeout, signal, tag, priority, invalidates, dedupe, skipAuthRefresh, skipMetrics, skipRateLimit, ...fetchOptions } = options;
+        const requestId = customId || this.generateRequestId();
+        const originalEndpoint = endpoint;
+        
+        // Wait for an in-flight token refresh so this request goes out with the new token
+        if (this.refreshPromise && !skipAuthRefresh) {
+            await this.refreshPromise;
+        }
+        
+        const tokenUsed = this.token;
+        
+        // Cancellation and timeout
+        const controller = new AbortController();
+        const timeoutMs = timeout !== undefined ? timeout : this.timeout;
+        let timedOut = false;
+        let timeoutTimer = null;
+        
+        this.linkAbortSignal(controller, signal);
+        this.controllers[requestId] = controller;
         
         // Prepare request
         const config = {
             method,
+            ...fetchOptions,
             headers: { ...this.defaultHeaders, ...options.headers },
-            ...options
+            signal: controller.signal
         };
         
+        // Let the browser set the multipart boundary
+        if (typeof FormData !== 'undefined' && config.body instanceof FormData) {
+            delete config.headers['Content-Type'];
+        }
+        
         if (data) {
             if (method === 'GET') {
                 // Convert data to query params for GET requests
@@ -70,13 +290,31 @@ class NeurixAPI {
         this.requests[requestId] = {
             endpoint,
             method,
+            tag: tag || null,
             timestamp: Date.now(),
-            status: 'pending'
+            status: this.rateLimiter ? 'queued' : 'pending'
         };
         
+        // What the network inspector records for this attempt
+        const logged = { sentAt: null, response: null, data: undefined, error: null };
+        
         try {
+            // Wait for a rate limit slot; the timeout only covers the network call
+            if (this.rateLimiter && !skipRateLimit) {
+                await this.rateLimiter.acquire(priority, controller.signal);
+                this.requests[requestId].status = 'pending';
+            }
+            
+            if (timeoutMs > 0) {
+                timeoutTimer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, timeoutMs);
+            }
+            
             // Make request
-            const response = await fetch(`${this.baseUrl}${endpoint}`, modifiedConfig);
+            logged.sentAt = Date.now();
+            const response = await this.sendRequest(endpoint, modifiedConfig);
             
             // Apply response interceptors
             let modifiedResponse = response;
@@ -85,15 +323,21 @@ class NeurixAPI {
             }
             
             // Parse response
-            const contentType = modifiedResponse.headers.get('content-type');
-            let responseData;
+            const responseData = await this.parseResponseBody(modifiedResponse);
+            logged.response = modifiedResponse;
+            logged.data = responseData;
             
-            if (contentType && contentType.includes('application/json')) {
-                responseData = await modifiedResponse.json();
-            } else if (contentType && contentType.includes('text/')) {
-                responseData = await modifiedResponse.text();
-            } else {
-                responseData = await modifiedResponse.blob();
+            // Expired token - refresh once (unless another request already did) and replay
+            if (modifiedResponse.status === 401 && !skipAuthRefresh) {
+                const refreshed = this.token !== tokenUsed || await this.refreshAccessToken();
+                
+                if (refreshed) {
+                    return this.performRequest(method, originalEndpoint, data, {
+                        ...options,
+                        requestId,
+                        skipAuthRefresh: true
+                    });
+                }
             }
             
             // Update request status
@@ -103,17 +347,18 @@ class NeurixAPI {
                 data: responseData
             };
             
-            // Handle errors
-            if (!modifiedResponse.ok) {
+            // Handle rate limiting
+            this.checkRateLimitHeaders(modifiedResponse);
+            
+            // Handle errors (304 only comes back for our own conditional requests)
+            if (!modifiedResponse.ok && modifiedResponse.status !== 304) {
                 await this.handleError(modifiedResponse, responseData);
             }
             
-            // Handle rate limiting
-            const remaining = modifiedResponse.headers.get('X-RateLimit-Remaining');
-            const reset = modifiedResponse.headers.get('X-RateLimit-Reset');
-            
-            if (remaining && parseInt(remaining) < 10) {
-                this.handleRateLimitWarning(parseInt(remaining), parseInt(reset));
+            // Successful mutations invalidate cached reads of the same resource
+            if (method !== 'GET') {
+                this.responseCache.invalidateTags([this.resourceTag(endpoint), ...(invalidates || [])])
+                    .catch(error => console.warn('Cache invalidation failed:', error));
             }
             
             return {
@@ -124,70 +369,346 @@ class NeurixAPI {
             };
             
         } catch (error) {
-            // Update request status
-            this.requests[requestId].status = 'failed';
-            this.requests[requestId].error = error;
+            // Handle cancellation and timeouts
+            if (controller.signal.aborted) {
+                const abortError = this.createAbortError(timedOut, timeoutMs);
+                
+                this.requests[requestId].status = timedOut ? 'timeout' : 'cancelled';
+                this.requests[requestId].error = abortError;
+                logged.error = abortError;
+                
+                throw abortError;
+            }
             
-            // Handle network errors
+            // Handle network errors (fetch rejects with a TypeError when the server is unreachable)
+            let requestError = error;
             if (!navigator.onLine) {
-                throw new Error('Network connection lost. Please check your internet connection.');
+                requestError = new NetworkError('Network connection lost. Please check your internet connection.', { cause: error });
+            } else if (error instanceof TypeError) {
+                requestError = new NetworkError('Unable to reach the server. Please try again.', { cause: error });
             }
             
-            throw error;
+            // Update request status
+            this.requests[requestId].status = 'failed';
+            this.requests[requestId].error = requestError;
+            logged.error = requestError;
+            
+            throw requestError;
         } finally {
+            clearTimeout(timeoutTimer);
+            delete this.controllers[requestId];
+            
+            if (logged.sentAt) {
+                const entry = this.recordNetworkEntry(requestId, endpoint, modifiedConfig, tag, logged);
+                if (!skipMetrics) this.metrics.record(entry, logged.error);
+            }
+            
             // Clean up old requests
             this.cleanupOldRequests();
         }
     }
     
+    async parseResponseBody(response) {
+        const contentType = response.headers.get('content-type');
+        
+        if (contentType && contentType.includes('application/json')) {
+            return response.json();
+        } else if (contentType && contentType.includes('text/')) {
+            return response.text();
+        }
+        
+        return response.blob();
+    }
+    
+    checkRateLimitHeaders(response) {
+        const remaining = response.headers.get('X-RateLimit-Remaining');
+        const reset = response.headers.get('X-RateLimit-Reset');
+        
+        // Keep the client-side budget in line with what the server reports
+        if (this.rateLimiter) {
+            if (remaining !== null) {
+                this.rateLimiter.updateFromServer(parseInt(remaining), reset ? parseInt(reset) * 1000 : null);
+            }
+            
+            if (response.status === 429) {
+                const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+                this.rateLimiter.pauseUntil(Date.now() + (retryAfter !== null ? retryAfter : 1000));
+            }
+        }
+        
+        if (remaining && parseInt(remaining) < 10) {
+            this.handleRateLimitWarning(parseInt(remaining), parseInt(reset));
+        }
+    }
+    
+    // Retry-After is either delay-seconds or an HTTP date; returns milliseconds
+    parseRetryAfter(value) {
+        if (!value) return null;
+        
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+        
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+    
+    // Each caller subscribes to the shared request and can leave on its own; the network
+    // call is only aborted once every subscriber has cancelled.
+    async dedupedRequest(method, endpoint, data, options) {
+        const { signal, tag, requestId, ...sharedOptions } = options;
+        const key = this.dedupeKey(method, endpoint, data, options.headers);
+        let entry = this.inflight.get(key);
+        
+        if (entry) {
+            this.dedupeStats.hits++;
+        } else {
+            this.dedupeStats.misses++;
+            
+            entry = { requestId: this.generateRequestId(), controller: new AbortController(), subscribers: new Set() };
+            
+            // The first caller's tag goes on the shared call, so the network log and metrics see it
+            entry.promise = this.request(method, endpoint, data, {
+                ...sharedOptions,
+                tag,
+                requestId: entry.requestId,
+                dedupe: false,
+                signal: entry.controller.signal
+            }).finally(() => {
+                if (this.inflight.get(key) === entry) {
+                    this.inflight.delete(key);
+                }
+            });
+            
+            this.inflight.set(key, entry);
+        }
+        
+        const subscriber = { id: requestId || null, tag: tag || null, controller: new AbortController() };
+        this.linkAbortSignal(subscriber.controller, signal);
+        entry.subscribers.add(subscriber);
+        
+        subscriber.controller.signal.addEventListener('abort', () => {
+            entry.subscribers.delete(subscriber);
+            if (entry.subscribers.size === 0) {
+                entry.controller.abort();
+            }
+        }, { once: true });
+        
+        try {
+            // Every caller gets its own copy of the data to change as it likes
+            const result = await this.abortable(entry.promise, subscriber.controller.signal);
+            return { ...result, data: structuredClone(result.data) };
+        } catch (error) {
+            if (subscriber.controller.signal.aborted && !error.cancelled) {
+                throw this.createAbortError(false);
+            }
+            throw error;
+        } finally {
+            entry.subscribers.delete(subscriber);
+        }
+    }
+    
+    dedupeKey(method, endpoint, data, headers) {
+        return JSON.stringify([method, this.cacheKey(endpoint, data), headers || {}]);
+    }
+    
+    // Subscribers to shared in-flight requests matching the predicate
+    findSubscribers(predicate) {
+        const matches = [];
+        this.inflight.forEach(entry => {
+            entry.subscribers.forEach(subscriber => {
+                if (predicate(subscriber)) matches.push(subscriber);
+            });
+        });
+        return matches;
+    }
+    
+    createAbortError(timedOut, timeoutMs) {
+        const error = new NetworkError(timedOut
+            ? `Request timed out after ${timeoutMs / 1000}s`
+            : 'Request was cancelled', { cancelled: !timedOut, timedOut });
+        error.name = timedOut ? 'TimeoutError' : 'AbortError';
+        return error;
+    }
+    
+    // Cancellation
+    cancel(requestId) {
+        const subscribers = this.findSubscribers(subscriber => subscriber.id === requestId);
+        subscribers.forEach(subscriber => subscriber.controller.abort());
+        
+        const controller = this.controllers[requestId];
+        if (!controller) return subscribers.length > 0;
+        
+        controller.abort();
+        return true;
+    }
+    
+    cancelByTag(tag) {
+        const subscribers = this.findSubscribers(subscriber => subscriber.tag === tag);
+        subscribers.forEach(subscriber => subscriber.controller.abort());
+        
+        // Shared calls carry their first caller's tag but end only when every subscriber has left
+        const shared = new Set([...this.inflight.values()].map(entry => entry.requestId));
+        const ids = Object.keys(this.controllers).filter(
+            id => this.requests[id] && this.requests[id].tag === tag && !shared.has(id)
+        );
+        
+        ids.forEach(id => this.cancel(id));
+        return ids.length + subscribers.length;
+    }
+    
+    // Abort the controller whenever an outside signal aborts
+    linkAbortSignal(controller, signal) {
+        if (!signal) return;
+        
+        if (signal.aborted) {
+            controller.abort();
+        } else {
+            signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+    }
+    
+    cancelAll() {
+        this.findSubscribers(() => true).forEach(subscriber => subscriber.controller.abort());
+        
+        const ids = Object.keys(this.controllers);
+        ids.forEach(id => this.cancel(id));
+        return ids.length;
+    }
+    
+    // Dispatch to a registered mock or the network
+    async sendRequest(endpoint, config) {
+        if (this.mockOptions.enabled) {
+            const match = this.findMock(config.method, endpoint);
+            
+            if (match) {
+                return this.abortable(this.resolveMock(match, endpoint, config), config.signal);
+            }
+            
+            if (this.mockOptions.failOnUnmocked) {
+                throw new Error(`No mock registered for ${config.method} ${endpoint}`);
+            }
+        }
+        
+        // fetch cannot report upload progress, XMLHttpRequest can
+        if (config.onUploadProgress) {
+            return this.sendWithProgress(`${this.baseUrl}${endpoint}`, config);
+        }
+        
+        return fetch(`${this.baseUrl}${endpoint}`, config);
+    }
+    
+    // XMLHttpRequest transport that resolves to a fetch Response
+    sendWithProgress(url, config) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open(config.method, url);
+            xhr.responseType = 'blob';
+            
+            Object.entries(config.headers || {}).forEach(([name, value]) => {
+                if (value !== undefined) xhr.setRequestHeader(name, value);
+            });
+            
+            xhr.upload.addEventListener('progress', (event) => {
+                config.onUploadProgress({
+                    loaded: event.loaded,
+                    total: event.lengthComputable ? event.total : null
+                });
+            });
+            
+            xhr.addEventListener('load', () => {
+                const headers = new Headers();
+                xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+                    const index = line.indexOf(':');
+                    if (index > 0) {
+                        headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+                    }
+                });
+                
+                const body = [204, 205, 304].includes(xhr.status) ? null : xhr.response;
+                resolve(new Response(body, { status: xhr.status, statusText: xhr.statusText, headers }));
+            });
+            
+            xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+            xhr.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+            
+            if (config.signal) {
+                // An XHR aborted before send() fires no abort event
+                if (config.signal.aborted) {
+                    reject(new DOMException('Aborted', 'AbortError'));
+                    return;
+                }
+                config.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+            
+            xhr.send(config.body || null);
+        });
+    }
+    
+    // Map an error response to a typed error, keeping the server's message when it sent one
     async handleError(response, data) {
-        const error = new Error(data?.message || `HTTP ${response.status}`);
-        error.status = response.status;
-        error.data = data;
+        const serverMessage = data && typeof data === 'object' ? data.message : null;
+        const details = {
+            status: response.status,
+            code: data?.code || data?.error_code || null,
+            requestId: response.headers?.get('X-Request-ID') || data?.request_id || null,
+            retryAfter: this.parseRetryAfter(response.headers?.get('Retry-After')),
+            data
+        };
+        
+        let error;
         
         switch (response.status) {
             case 401:
-                // Unauthorized - token expired
-                if (this.onTokenExpired) {
-                    this.onTokenExpired();
+                // Unauthorized - token expired (a failing refresh call reports through its caller)
+                if (!this.refreshPromise) {
+                    this.expireSession();
                 }
+                error = new AuthError(serverMessage || 'Your session has expired. Please sign in again.', details);
                 break;
                 
             case 403:
                 // Forbidden
-                error.message = 'You do not have permission to perform this action';
+                error = new AuthError(serverMessage || 'You do not have permission to perform this action', details);
                 break;
                 
             case 404:
                 // Not found
-                error.message = 'The requested resource was not found';
+                error = new NotFoundError(serverMessage || 'The requested resource was not found', details);
                 break;
                 
             case 422:
                 // Validation error
-                error.message = 'Validation failed';
-                error.errors = data?.errors || {};
+                error = new ValidationError(serverMessage || 'Validation failed', {
+                    ...details,
+                    errors: data?.errors
+                });
                 break;
                 
             case 429:
                 // Rate limited
+                error = new RateLimitError(serverMessage || 'Rate limit exceeded. Please try again later.', details);
                 if (this.onRateLimitExceeded) {
                     this.onRateLimitExceeded(data);
                 }
-                error.message = 'Rate limit exceeded. Please try again later.';
                 break;
                 
             case 500:
                 // Server error
-                error.message = 'Internal server error. Please try again later.';
+                error = new ServerError(serverMessage || 'Internal server error. Please try again later.', details);
                 break;
                 
             case 502:
             case 503:
             case 504:
                 // Service unavailable
-                error.message = 'Service temporarily unavailable. Please try again later.';
+                error = new ServerError(serverMessage || 'Service temporarily unavailable. Please try again later.', details);
                 break;
+                
+            default:
+                error = response.status >= 500
+                    ? new ServerError(serverMessage || `HTTP ${response.status}`, details)
+                    : new NeurixAPIError(serverMessage || `HTTP ${response.status}`, details);
         }
         
         throw error;
@@ -232,7 +753,20 @@ class NeurixAPI {
     }
     
     // File upload
-    async upload(endpoint, file, fieldName = 'file', additionalData = {}) {
+    // options.onProgress({ loaded, total, percent }) - upload progress
+    // options.accept     - allowed MIME types, e.g. ['image/*', 'audio/mpeg']
+    // options.maxSize    - overrides the client-wide maxFileSize
+    // options.chunked    - force (true) or disable (false) chunked upload; by default
+    //                      files above chunkThreshold are chunked
+    // options.signal     - abort the upload
+    async upload(endpoint, file, fieldName = 'file', additionalData = {}, options = {}) {
+        this.validateFile(file, options);
+        
+        const chunked = options.chunked !== undefined ? options.chunked : file.size > this.chunkThreshold;
+        if (chunked) {
+            return this.uploadChunked(endpoint, file, fieldName, additionalData, options);
+        }
+        
         const formData = new FormData();
         formData.append(fieldName, file);
         
@@ -241,172 +775,729 @@ class NeurixAPI {
             formData.append(key, additionalData[key]);
         });
         
-        return this.request('POST', endpoint, null, {
-            headers: {
-                ...this.defaultHeaders,
-                'Content-Type': undefined // Let browser set multipart boundary
-            },
-            body: formData
+        const result = await this.request('POST', endpoint, null, {
+            body: formData,
+            timeout: options.timeout || 0,
+            signal: options.signal,
+            onUploadProgress: options.onProgress
+                ? ({ loaded }) => this.reportUploadProgress(options.onProgress, loaded, file.size)
+                : undefined
         });
-    }
-    
-    // Stream response
-    async stream(endpoint, data = null, onChunk, onComplete, onError) {
-        try {
-            const response = await fetch(`${this.baseUrl}${endpoint}`, {
-                method: 'POST',
-                headers: this.defaultHeaders,
-                body: data ? JSON.stringify(data) : null
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-            
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            
-            while (true) {
-                const { done, value } = await reader.read();
-                
-                if (done) {
-                    if (onComplete) onComplete();
-                    break;
-                }
-                
-                const chunk = decoder.decode(value);
-                if (onChunk) onChunk(chunk);
-            }
-        } catch (error) {
-            if (onError) onError(error);
+        
+        if (options.onProgress) {
+            this.reportUploadProgress(options.onProgress, file.size, file.size);
         }
+        
+        return result;
     }
     
-    // WebSocket-like streaming for AI responses
-    async streamAIResponse(endpoint, data, onToken, onComplete, onError) {
-        return this.stream(endpoint, data, 
-            (chunk) => {
-                try {
-                    const lines = chunk.split('\n').filter(line => line.trim());
-                    lines.forEach(line => {
-                        if (line.startsWith('data: ')) {
-                            const json = line.slice(6);
-                            if (json === '[DONE]') {
-                                if (onComplete) onComplete();
-                                return;
-                            }
-                            
-                            try {
-                                const data = JSON.parse(json);
-                                if (data.token && onToken) {
-                                    onToken(data.token);
-                                }
-                            } catch (e) {
-                                console.error('Failed to parse stream data:', e);
-                            }
-                        }
-                    });
-                } catch (error) {
-                    console.error('Error processing stream chunk:', error);
-                }
-            },
-            onComplete,
-            onError
-        );
-    }
-    
-    // Batch requests
-    async batch(requests) {
-        const batchId = `batch_${Date.now()}`;
-        const results = [];
+    validateFile(file, options = {}) {
+        const maxSize = options.maxSize || this.maxFileSize;
         
-        for (const request of requests) {
-            try {
-                const result = await this.request(
-                    request.method,
-                    request.endpoint,
-                    request.data,
-                    request.options
-                );
-                results.push({ success: true, data: result });
-            } catch (error) {
-                results.push({ success: false, error });
-            }
+        if (maxSize && file.size > maxSize) {
+            const error = new Error(`File is too large. Maximum size is ${Math.round(maxSize / (1024 * 1024))}MB.`);
+            error.code = 'FILE_TOO_LARGE';
+            throw error;
         }
         
-        return results;
+        if (options.accept && options.accept.length > 0) {
+            const type = file.type || '';
+            const allowed = options.accept.some(pattern => pattern.endsWith('/*')
+                ? type.startsWith(pattern.slice(0, -1))
+                : type === pattern);
+            
+            if (!allowed) {
+                const error = new Error(`File type ${type || 'unknown'} is not supported.`);
+                error.code = 'FILE_TYPE_NOT_ALLOWED';
+                throw error;
+            }
+        }
     }
     
-    // Queue for rate limiting
-    async enqueue(request) {
-        return new Promise((resolve, reject) => {
-            this.queue.push({ request, resolve, reject });
-            this.processQueue();
+    reportUploadProgress(onProgress, loaded, total) {
+        onProgress({
+            loaded,
+            total,
+            percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : 0
         });
     }
     
-    async processQueue() {
-        if (this.isProcessingQueue || this.queue.length === 0) {
-            return;
-        }
+    // Resumable chunked upload session protocol:
+    //   POST {endpoint}/sessions                     { filename, size, type, chunk_size, total_chunks }
+    //                                                -> { session_id }
+    //   GET  {endpoint}/sessions/:id                 -> { uploaded_chunks: [index, ...] }
+    //   PUT  {endpoint}/sessions/:id/chunks/:index   raw chunk, Content-Range and Digest headers
+    //   POST {endpoint}/sessions/:id/complete        { field_name, ...additionalData } -> final result
+    // The session id is kept in localStorage per file so an interrupted upload resumes
+    // from the chunks the server already has.
+    async uploadChunked(endpoint, file, fieldName, additionalData = {}, options = {}) {
+        const chunkSize = options.chunkSize || this.chunkSize;
+        const totalChunks = Math.max(1, Math.ceil(file.size / chunkSize));
+        const concurrency = options.concurrency || 3;
+        const storageKey = `upload_session_${endpoint}_${file.name}_${file.size}_${file.lastModified || 0}`;
         
-        this.isProcessingQueue = true;
+        // Resume a previous session if the server still has it
+        let sessionId = localStorage.getItem(storageKey);
+        let uploaded = [];
         
-        while (this.queue.length > 0) {
-            const { request, resolve, reject } = this.queue.shift();
-            
+        if (sessionId) {
             try {
-                const result = await this.request(
-                    request.method,
-                    request.endpoint,
-                    request.data,
-                    request.options
-                );
-                resolve(result);
+                const session = await this.get(`${endpoint}/sessions/${sessionId}`, null, { signal: options.signal });
+                uploaded = session.data?.uploaded_chunks || [];
             } catch (error) {
-                reject(error);
+                if (error.cancelled) throw error;
+                sessionId = null;
             }
-            
-            // Add delay between requests to respect rate limits
-            await this.delay(100);
         }
         
-        this.isProcessingQueue = false;
-    }
-    
-    // Cache support
-    async getWithCache(endpoint, ttl = 300000) { // 5 minutes default
-        const cacheKey = `api_cache_${endpoint}`;
-        const cached = localStorage.getItem(cacheKey);
-        
-        if (cached) {
-            const { data, timestamp } = JSON.parse(cached);
+        if (!sessionId) {
+            const session = await this.post(`${endpoint}/sessions`, {
+                filename: file.name,
+                size: file.size,
+                type: file.type,
+                chunk_size: chunkSize,
+                total_chunks: totalChunks
+            }, { signal: options.signal });
             
-            if (Date.now() - timestamp < ttl) {
-                return { success: true, data, cached: true };
-            }
+            sessionId = session.data.session_id;
+            localStorage.setItem(storageKey, sessionId);
         }
         
+        // Progress across all chunks, counting those already on the server
+        const chunkLoaded = {};
+        const done = new Set(uploaded);
+        const reportProgress = () => {
+            if (!options.onProgress) return;
+            let loaded = 0;
+            for (let index = 0; index < totalChunks; index++) {
+                const size = Math.min(chunkSize, file.size - index * chunkSize);
+                loaded += done.has(index) ? size : (chunkLoaded[index] || 0);
+            }
+            this.reportUploadProgress(options.onProgress, loaded, file.size);
+        };
+        
+        reportProgress();
+        
+        const pending = [];
+        for (let index = 0; index < totalChunks; index++) {
+            if (!done.has(index)) pending.push(index);
+        }
+        
+        // Send chunks in parallel; stop the others on the first hard failure
+        const uploadController = new AbortController();
+        this.linkAbortSignal(uploadController, options.signal);
+        let failure = null;
+        
+        const worker = async () => {
+            while (pending.length > 0 && !failure) {
+                const index = pending.shift();
+                
+                try {
+                    // Chunk PUTs are idempotent, so request() retries them on its own
+                    await this.uploadChunk(
+                        `${endpoint}/sessions/${sessionId}/chunks/${index}`,
+                        file, index, chunkSize, uploadController.signal,
+                        (loaded) => {
+                            chunkLoaded[index] = loaded;
+                            reportProgress();
+                        }
+                    );
+                    
+                    done.add(index);
+                    reportProgress();
+                } catch (error) {
+                    failure = failure || error;
+                    uploadController.abort();
+                }
+            }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+        
+        // The session is kept on failure so the next attempt resumes
+        if (failure) throw failure;
+        
+        const result = await this.post(`${endpoint}/sessions/${sessionId}/complete`, {
+            field_name: fieldName,
+            ...additionalData
+        }, { signal: options.signal });
+        
+        localStorage.removeItem(storageKey);
+        
+        return result;
+    }
+    
+    async uploadChunk(endpoint, file, index, chunkSize, signal, onProgress) {
+        const start = index * chunkSize;
+        const end = Math.min(start + chunkSize, file.size);
+        const chunk = file.slice(start, end);
+        
+        return this.request('PUT', endpoint, null, {
+            body: chunk,
+            signal,
+            timeout: 0,
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Range': `bytes ${start}-${end - 1}/${file.size}`,
+                'Digest': `sha-256=${await this.checksum(chunk)}`
+            },
+            onUploadProgress: ({ loaded }) => onProgress(loaded)
+        });
+    }
+    
+    // Base64 SHA-256 of a blob, as used by the Digest header
+    async checksum(blob) {
+        const hash = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return btoa(String.fromCharCode(...new Uint8Array(hash)));
+    }
+    
+    // Stream response
+    // Goes through the same interceptors, token refresh, error mapping and rate-limit
+    // checks as request(). Returns { requestId, abort(), done } so callers can stop it.
+    stream(endpoint, data = null, onChunk, onComplete, onError, options = {}) {
+        const requestId = options.requestId || this.generateRequestId();
+        const controller = new AbortController();
+        
+        this.linkAbortSignal(controller, options.signal);
+        this.controllers[requestId] = controller;
+        
+        const done = this.runStream(requestId, controller, endpoint, data, onChunk, onComplete, onError, options)
+            .finally(() => {
+                delete this.controllers[requestId];
+                this.cleanupOldRequests();
+            });
+        
+        return {
+            requestId,
+            signal: controller.signal,
+            abort: () => controller.abort(),
+            done
+        };
+    }
+    
+    async runStream(requestId, controller, endpoint, data, onChunk, onComplete, onError, options) {
+        const { method = 'POST', headers, tag, priority, skipAuthRefresh, skipMetrics } = options;
+        const originalEndpoint = endpoint;
+        
+        // Track request
+        this.requests[requestId] = {
+            endpoint,
+            method,
+            tag: tag || null,
+            timestamp: Date.now(),
+            status: 'pending',
+            stream: true
+        };
+        
+        // Logged like any other request once the stream ends; data collects the received text
+        const logged = { sentAt: null, response: null, data: undefined, error: null };
+        let modifiedConfig = null;
+        
         try {
-            const result = await this.get(endpoint);
+            if (this.refreshPromise && !skipAuthRefresh) {
+                await this.refreshPromise;
+            }
+            
+            if (this.rateLimiter) {
+                await this.rateLimiter.acquire(priority, controller.signal);
+            }
+            
+            const tokenUsed = this.token;
+            
+            // Prepare request
+            const config = {
+                method,
+                headers: { ...this.defaultHeaders, ...headers },
+                signal: controller.signal
+            };
+            
+            if (data) {
+                if (method === 'GET') {
+                    endpoint += `?${new URLSearchParams(data).toString()}`;
+                } else {
+                    config.body = JSON.stringify(data);
+                }
+            }
+            
+            // Apply request interceptors
+            modifiedConfig = config;
+            for (const interceptor of this.interceptors.request) {
+                modifiedConfig = await interceptor(modifiedConfig);
+            }
+            
+            logged.sentAt = Date.now();
+            const response = await this.sendRequest(endpoint, modifiedConfig);
+            
+            // Apply response interceptors
+            let modifiedResponse = response;
+            for (const interceptor of this.interceptors.response) {
+                modifiedResponse = await interceptor(modifiedResponse);
+            }
+            
+            logged.response = modifiedResponse;
+            this.checkRateLimitHeaders(modifiedResponse);
+            
+            if (!modifiedResponse.ok) {
+                const responseData = await this.parseResponseBody(modifiedResponse);
+                logged.data = responseData;
+                
+                // Expired token - refresh once and reopen the stream under the same id
+                if (modifiedResponse.status === 401 && !skipAuthRefresh) {
+                    const refreshed = this.token !== tokenUsed || await this.refreshAccessToken();
+                    
+                    if (refreshed) {
+                        return this.runStream(requestId, controller, originalEndpoint, data,
+                            onChunk, onComplete, onError, { ...options, skipAuthRefresh: true });
+                    }
+                }
+                
+                await this.handleError(modifiedResponse, responseData);
+            }
+            
+            const reader = modifiedResponse.body.getReader();
+            const decoder = new TextDecoder();
+            
+            // Mocked and interceptor-built bodies are not tied to the fetch signal
+            controller.signal.addEventListener('abort', () => reader.cancel().catch(() => {}), { once: true });
+            
+            logged.data = '';
+            
+            while (true) {
+                const { done, value } = await reader.read();
+                
+                if (controller.signal.aborted) {
+                    throw this.createAbortError(false);
+                }
+                
+                if (done) {
+                    this.requests[requestId].status = 'completed';
+                    if (onComplete) onComplete(modifiedResponse);
+                    break;
+                }
+                
+                // stream: true keeps multi-byte characters split across chunks intact
+                const chunk = decoder.decode(value, { stream: true });
+                logged.data += chunk;
+                if (onChunk) onChunk(chunk);
+            }
+        } catch (error) {
+            let streamError = error;
+            
+            if (controller.signal.aborted) {
+                streamError = this.createAbortError(false);
+                this.requests[requestId].status = 'cancelled';
+            } else {
+                this.requests[requestId].status = 'failed';
+            }
+            
+            this.requests[requestId].error = streamError;
+            logged.error = streamError;
+            
+            if (onError) onError(streamError);
+        } finally {
+            if (logged.sentAt) {
+                const entry = this.recordNetworkEntry(requestId, endpoint, modifiedConfig, tag, logged);
+                if (!skipMetrics) this.metrics.record(entry, logged.error);
+            }
+        }
+    }
+    
+    // Server-Sent Events streaming for AI responses
+    // Typed events (token, usage, error, done, ...) go to options.on[type]; dropped
+    // connections resume with Last-Event-ID when the server assigns event ids.
+    // Returns { abort(), done } like stream(); abort also stops any pending resume.
+    streamAIResponse(endpoint, data, onToken, onComplete, onError, options = {}) {
+        const controller = new AbortController();
+        
+        const done = this.runAIStream(controller, endpoint, data, onToken, onComplete, onError, options);
+        
+        return {
+            signal: controller.signal,
+            abort: () => controller.abort(),
+            done
+        };
+    }
+    
+    async runAIStream(controller, endpoint, data, onToken, onComplete, onError, options) {
+        const handlers = options.on || {};
+        const maxReconnects = options.maxReconnects !== undefined ? options.maxReconnects : 3;
+        
+        let finished = false;
+        let reconnects = 0;
+        let retryDelay = options.retryDelay || 1000;
+        
+        const complete = (payload) => {
+            if (finished) return;
+            finished = true;
+            if (onComplete) onComplete(payload);
+        };
+        
+        const fail = (error) => {
+            if (finished) return;
+            finished = true;
+            if (onError) onError(error);
+        };
+        
+        const parser = new NeurixSSEParser((event) => {
+            if (finished) return;
+            
+            if (event.retry !== undefined) {
+                retryDelay = event.retry;
+            }
+            
+            if (event.data === '[DONE]') {
+                complete();
+                return;
+            }
+            
+            // Only JSON objects and arrays are parsed - bare tokens like " 42" or "true" stay text
+            let payload = event.data;
+            if (/^[{[]/.test(event.data)) {
+                try {
+                    payload = JSON.parse(event.data);
+                } catch (e) {
+                    // Plain-text event data
+                }
+            }
+            
+            // Untyped events carry their type in the payload, or are bare tokens
+            let type = event.type;
+            if (type === 'message') {
+                type = payload && typeof payload === 'object'
+                    ? (payload.type || (payload.token !== undefined ? 'token' : 'message'))
+                    : 'token';
+            }
+            
+            if (options.onEvent) {
+                options.onEvent({ ...event, type, payload });
+            }
+            
+            if (handlers[type]) {
+                handlers[type](payload, event);
+            }
+            
+            switch (type) {
+                case 'token':
+                    if (onToken) {
+                        onToken(payload && typeof payload === 'object' ? payload.token : payload, payload);
+                    }
+                    break;
+                    
+                case 'error': {
+                    const error = new Error(payload?.message || String(payload || 'Stream error'));
+                    error.code = payload?.code;
+                    error.data = payload;
+                    fail(error);
+                    break;
+                }
+                    
+                case 'done':
+                    complete(payload);
+                    break;
+            }
+        });
+        
+        while (!finished) {
+            let streamError = null;
+            
+            await this.stream(endpoint, data,
+                (chunk) => parser.feed(chunk),
+                null,
+                (error) => { streamError = error; },
+                {
+                    method: options.method,
+                    tag: options.tag,
+                    signal: controller.signal,
+                    headers: {
+                        ...options.headers,
+                        'Accept': 'text/event-stream',
+                        ...(parser.lastEventId ? { 'Last-Event-ID': parser.lastEventId } : {})
+                    }
+                }
+            ).done;
+            
+            parser.reset();
+            
+            if (finished) break;
+            
+            if (!streamError) {
+                // Server closed the stream without a done event
+                complete();
+                break;
+            }
+            
+            // Only a dropped connection with a resumable position is retried
+            const resumable = !streamError.status && !streamError.cancelled &&
+                parser.lastEventId && reconnects < maxReconnects;
+            if (!resumable) {
+                fail(streamError);
+                break;
+            }
+            
+            reconnects++;
+            console.warn(`Stream interrupted, resuming from event ${parser.lastEventId} (attempt ${reconnects})`);
+            await this.abortable(this.delay(retryDelay), controller.signal).catch(() => {
+                fail(this.createAbortError(false));
+            });
+        }
+    }
+    
+    // Batch requests
+    // options.concurrency - max requests in flight (default 6)
+    // options.mode        - 'settle' returns every result, 'failFast' rejects on the first
+    //                       error and cancels the rest (error.results holds partial results)
+    // options.timeout     - per-item timeout, overridable by request.options.timeout
+    // options.multiplex   - send everything as one POST to options.endpoint || batchEndpoint
+    async batch(requests, options = {}) {
+        if (options.multiplex) {
+            return this.batchMultiplexed(requests, options);
+        }
+        
+        const failFast = options.mode === 'failFast';
+        const concurrency = Math.max(1, Math.min(options.concurrency || 6, requests.length));
+        const batchController = new AbortController();
+        const results = new Array(requests.length);
+        let nextIndex = 0;
+        let firstError = null;
+        
+        const worker = async () => {
+            while (nextIndex < requests.length && !firstError) {
+                const index = nextIndex++;
+                const request = requests[index];
+                const itemOptions = request.options || {};
+                
+                // Each item can be cancelled on its own or together with the batch
+                const itemController = new AbortController();
+                this.linkAbortSignal(itemController, batchController.signal);
+                this.linkAbortSignal(itemController, itemOptions.signal);
+                
+                try {
+                    const result = await this.request(
+                        request.method,
+                        request.endpoint,
+                        request.data,
+                        {
+                            timeout: options.timeout,
+                            tag: options.tag,
+                            ...itemOptions,
+                            signal: itemController.signal
+                        }
+                    );
+                    results[index] = { success: true, data: result };
+                } catch (error) {
+                    results[index] = { success: false, error };
+                    
+                    if (failFast && !firstError) {
+                        firstError = error;
+                        batchController.abort();
+                    }
+                }
+            }
+        };
+        
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        
+        if (firstError) {
+            firstError.results = results;
+            throw firstError;
+        }
+        
+        return results;
+    }
+    
+    // Server-side batch: { requests: [{ id, method, endpoint, data }] }
+    // answered by { responses: [{ id, status, data, headers }] }
+    async batchMultiplexed(requests, options = {}) {
+        const response = await this.request('POST', options.endpoint || this.batchEndpoint, {
+            requests: requests.map((request, index) => ({
+                id: String(index),
+                method: request.method,
+                endpoint: request.endpoint,
+                data: request.data || null,
+                headers: request.options?.headers || {}
+            }))
+        }, {
+            timeout: options.timeout,
+            tag: options.tag,
+            signal: options.signal
+        });
+        
+        const items = response.data?.responses || [];
+        const byId = new Map(items.map(item => [String(item.id), item]));
+        const results = [];
+        let firstError = null;
+        
+        for (let index = 0; index < requests.length; index++) {
+            const item = byId.get(String(index));
+            
+            if (item && item.status >= 200 && item.status < 300) {
+                results.push({
+                    success: true,
+                    data: {
+                        success: true,
+                        status: item.status,
+                        data: item.data,
+                        headers: item.headers || {}
+                    }
+                });
+                continue;
+            }
+            
+            // Map each failed item through the same error handling as a direct call
+            const error = item
+                ? await this.handleError({ status: item.status }, item.data).catch(e => e)
+                : new Error(`No response for batched request ${requests[index].method} ${requests[index].endpoint}`);
+            
+            results.push({ success: false, error });
+            firstError = firstError || error;
+        }
+        
+        // The POST itself only invalidates 'batch' - each write inside it invalidates its own resource
+        const tags = requests
+            .filter((request, index) => request.method !== 'GET' && results[index].success)
+            .flatMap(request => [this.resourceTag(request.endpoint), ...(request.options?.invalidates || [])]);
+        
+        if (tags.length > 0) {
+            this.responseCache.invalidateTags([...new Set(tags)])
+                .catch(error => console.warn('Cache invalidation failed:', error));
+        }
+        
+        if (firstError && options.mode === 'failFast') {
+            firstError.results = results;
+            throw firstError;
+        }
+        
+        return results;
+    }
+    
+    // Queue for rate limiting
+    // Queued requests run one at a time at background priority unless told otherwise
+    async enqueue(request) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ request, resolve, reject });
+            this.processQueue();
+        });
+    }
+    
+    async processQueue() {
+        if (this.isProcessingQueue || this.queue.length === 0) {
+            return;
+        }
+        
+        this.isProcessingQueue = true;
+        
+        while (this.queue.length > 0) {
+            const { request, resolve, reject } = this.queue.shift();
+            
+            try {
+                const result = await this.request(
+                    request.method,
+                    request.endpoint,
+                    request.data,
+                    { priority: 'low', ...request.options }
+                );
+                resolve(result);
+            } catch (error) {
+                reject(error);
+            }
+        }
+        
+        this.isProcessingQueue = false;
+    }
+    
+    // Cache support
+    // Fresh entries (younger than ttl) are returned directly. Within the
+    // options.staleWhileRevalidate window (ms) the stale entry is returned and refreshed
+    // in the background, with options.onUpdate(result) called if the data changed.
+    // Older entries are revalidated with If-None-Match / If-Modified-Since first.
+    // options.params - query params (part of the cache key)
+    // options.tags   - extra invalidation tags; the first path segment is always a tag
+    async getWithCache(endpoint, ttl = 300000, options = {}) { // 5 minutes default
+        const { params, tags = [], staleWhileRevalidate = 0, onUpdate, ...requestOptions } = options;
+        const cacheKey = this.cacheKey(endpoint, params);
+        const cached = await this.responseCache.get(cacheKey).catch(() => null);
+        
+        if (cached) {
+            const age = Date.now() - cached.timestamp;
             
-            // Cache the result
-            localStorage.setItem(cacheKey, JSON.stringify({
-                data: result.data,
-                timestamp: Date.now()
-            }));
+            if (age < ttl) {
+                return { success: true, data: cached.data, cached: true };
+            }
             
-            return { ...result, cached: false };
+            if (age < ttl + staleWhileRevalidate) {
+                this.revalidateCache(endpoint, cacheKey, cached, params, tags, requestOptions)
+                    .then(result => {
+                        if (!result.cached && onUpdate) onUpdate(result);
+                    })
+                    .catch(error => console.warn(`Background revalidation of ${endpoint} failed:`, error));
+                
+                return { success: true, data: cached.data, cached: true, stale: true };
+            }
+        }
+        
+        try {
+            return await this.revalidateCache(endpoint, cacheKey, cached, params, tags, requestOptions);
         } catch (error) {
             // Return cached data even if expired when offline
             if (!navigator.onLine && cached) {
-                const { data } = JSON.parse(cached);
-                return { success: true, data, cached: true, offline: true };
+                return { success: true, data: cached.data, cached: true, offline: true };
             }
             throw error;
         }
     }
     
+    async revalidateCache(endpoint, cacheKey, cached, params, tags, requestOptions = {}) {
+        const headers = { ...requestOptions.headers };
+        
+        if (cached?.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+        if (cached?.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+        
+        const result = await this.get(endpoint, params || null, { ...requestOptions, headers });
+        
+        if (result.status === 304 && cached) {
+            await this.responseCache.set(cacheKey, { ...cached, timestamp: Date.now() });
+            return { ...result, data: cached.data, cached: true, revalidated: true };
+        }
+        
+        await this.responseCache.set(cacheKey, {
+            data: result.data,
+            timestamp: Date.now(),
+            etag: result.headers.etag || null,
+            lastModified: result.headers['last-modified'] || null,
+            tags: [this.resourceTag(endpoint), ...tags]
+        }).catch(error => console.warn('Failed to cache response:', error));
+        
+        return { ...result, cached: false };
+    }
+    
+    cacheKey(endpoint, params) {
+        if (!params) return endpoint;
+        
+        const query = new URLSearchParams(
+            Object.keys(params).sort().map(key => [key, params[key]])
+        ).toString();
+        
+        return query ? `${endpoint}?${query}` : endpoint;
+    }
+    
+    // '/iot/devices/12/control' -> 'iot'
+    resourceTag(endpoint) {
+        return endpoint.split('?')[0].split('/').filter(Boolean)[0] || '';
+    }
+    
+    invalidateCache(tags) {
+        return this.responseCache.invalidateTags(Array.isArray(tags) ? tags : [tags]);
+    }
+    
+    clearCache() {
+        this.graphCache.clear();
+        return this.responseCache.clear();
+    }
+    
     // Interceptors
     addRequestInterceptor(interceptor) {
         this.interceptors.request.push(interceptor);
@@ -436,14 +1527,386 @@ class NeurixAPI {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
-    // Status monitoring
-    getRequestStats() {
-        const now = Date.now();
-        const oneMinute = 60000;
-        
-        const recent = Object.values(this.requests).filter(
-            req => now - req.timestamp < oneMinute
-        );
+    abortable(promise, signal) {
+        if (!signal) return promise;
+        
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(new DOMException('Aborted', 'AbortError'));
+            
+            if (signal.aborted) return onAbort();
+            signal.addEventListener('abort', onAbort, { once: true });
+            
+            promise.then(resolve, reject).finally(() => {
+                signal.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+    
+    // GraphQL
+    // query() reads through the normalized cache (fetchPolicy 'cache-first', 'network-only'
+    // or 'no-cache'); mutate() always hits the network and writes the returned entities
+    // back, so cached queries that include them see the update.
+    async query(document, variables = {}, options = {}) {
+        const { fetchPolicy = 'cache-first', ...requestOptions } = options;
+        const cacheKey = this.graphCache.queryKey(document, variables);
+        
+        if (fetchPolicy === 'cache-first') {
+            const cached = this.graphCache.readQuery(cacheKey);
+            if (cached !== undefined) return cached;
+        }
+        
+        // Queries are reads, so they can be retried like a GET
+        const data = await this.executeGraphQL(document, variables, { idempotent: true, ...requestOptions });
+        
+        if (fetchPolicy !== 'no-cache') {
+            this.graphCache.writeQuery(cacheKey, data);
+        }
+        
+        return data;
+    }
+    
+    async mutate(document, variables = {}, options = {}) {
+        const data = await this.executeGraphQL(document, variables, options);
+        
+        if (data) {
+            this.graphCache.writeResult(data);
+        }
+        
+        return data;
+    }
+    
+    // Subscriptions use one socket topic per operation. The socket sends the document
+    // with the subscribe frame (and again after reconnecting). Returns an unsubscribe function.
+    subscribe(document, variables = {}, onData, options = {}) {
+        if (!this.socket) {
+            throw new Error('GraphQL subscriptions need a socket - call setSocket() first');
+        }
+        
+        const topic = `graphql:${options.id || this.generateRequestId()}`;
+        
+        return this.socket.subscribe(topic, (payload = {}) => {
+            if (payload.errors && payload.errors.length) {
+                const error = this.createGraphQLError(payload.errors, payload.data, 200);
+                if (options.onError) {
+                    options.onError(error);
+                } else {
+                    console.error('GraphQL subscription error:', error);
+                }
+                return;
+            }
+            
+            if (payload.data) {
+                this.graphCache.writeResult(payload.data);
+            }
+            
+            onData(payload.data);
+        }, {
+            query: document,
+            variables,
+            operationName: options.operationName
+        });
+    }
+    
+    setSocket(socket) {
+        this.socket = socket;
+    }
+    
+    async executeGraphQL(document, variables, options = {}) {
+        const { operationName, ...requestOptions } = options;
+        const body = { variables, ...(operationName ? { operationName } : {}) };
+        let response;
+        
+        if (this.persistedQueries) {
+            const extensions = {
+                persistedQuery: { version: 1, sha256Hash: await this.hashQuery(document) }
+            };
+            
+            try {
+                response = await this.request('POST', this.graphqlEndpoint, { ...body, extensions }, requestOptions);
+            } catch (error) {
+                if (!this.isPersistedQueryMiss(error.data)) throw error;
+            }
+            
+            // The server doesn't know this hash yet - send the document once to register it
+            if (!response || this.isPersistedQueryMiss(response.data)) {
+                response = await this.request('POST', this.graphqlEndpoint, {
+                    ...body,
+                    query: document,
+                    extensions
+                }, requestOptions);
+            }
+        } else {
+            response = await this.request('POST', this.graphqlEndpoint, { ...body, query: document }, requestOptions);
+        }
+        
+        const { data = null, errors } = response.data || {};
+        
+        if (errors && errors.length) {
+            throw this.createGraphQLError(errors, data, response.status, response.headers);
+        }
+        
+        return data;
+    }
+    
+    createGraphQLError(errors, data, status, headers = {}) {
+        const extensions = errors[0].extensions || {};
+        
+        return new GraphQLError(errors.map(error => error.message).join('; '), {
+            status,
+            code: extensions.code || null,
+            requestId: headers['x-request-id'] || null,
+            errors,
+            data
+        });
+    }
+    
+    isPersistedQueryMiss(body) {
+        return Boolean(body && Array.isArray(body.errors) && body.errors.some(error =>
+            error.message === 'PersistedQueryNotFound' ||
+            (error.extensions && error.extensions.code === 'PERSISTED_QUERY_NOT_FOUND')
+        ));
+    }
+    
+    // SHA-256 hex of the exact document text, as the persisted query protocol expects
+    async hashQuery(document) {
+        if (!this.queryHashes.has(document)) {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(document));
+            const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+            this.queryHashes.set(document, hash);
+        }
+        
+        return this.queryHashes.get(document);
+    }
+    
+    // Network log
+    recordNetworkEntry(requestId, endpoint, config, tag, logged) {
+        const { response, data, error, sentAt } = logged;
+        
+        // Query strings carry keys and tokens too, and the log outlives the request
+        endpoint = this.redactEndpoint(endpoint);
+        const header = (name) => response ? response.headers.get(name) : null;
+        const contentLength = header('content-length');
+        
+        const entry = {
+            id: requestId,
+            method: config.method,
+            url: `${this.baseUrl}${endpoint}`,
+            endpoint,
+            tag: tag || null,
+            startedAt: sentAt,
+            duration: Date.now() - sentAt,
+            status: response ? response.status : 0,
+            statusText: response ? response.statusText : '',
+            mimeType: header('content-type') || '',
+            size: contentLength !== null ? parseInt(contentLength) : this.estimateBodySize(data),
+            requestSize: this.estimateBodySize(config.body),
+            requestHeaders: this.redactHeaders(config.headers || {}),
+            requestBody: this.previewBody(config.body),
+            responseHeaders: response ? this.redactHeaders(Object.fromEntries(response.headers.entries())) : {},
+            responseBody: response ? this.previewBody(data) : null,
+            rateLimit: {
+                limit: header('X-RateLimit-Limit'),
+                remaining: header('X-RateLimit-Remaining'),
+                reset: header('X-RateLimit-Reset')
+            },
+            error: error ? `${error.name}: ${error.message}` : null
+        };
+        
+        this.networkLog.push(entry);
+        if (this.networkLog.length > this.networkLogSize) {
+            this.networkLog.splice(0, this.networkLog.length - this.networkLogSize);
+        }
+        
+        this.networkListeners.forEach(listener => {
+            try {
+                listener(entry);
+            } catch (listenerError) {
+                console.error('Error in network log listener:', listenerError);
+            }
+        });
+        
+        this.scheduleNetworkLogSave();
+        
+        return entry;
+    }
+    
+    onNetworkEntry(listener) {
+        this.networkListeners.add(listener);
+        return () => this.networkListeners.delete(listener);
+    }
+    
+    clearNetworkLog() {
+        this.networkLog = [];
+        this.scheduleNetworkLogSave();
+    }
+    
+    loadNetworkLog() {
+        try {
+            return JSON.parse(sessionStorage.getItem('neurix_network_log') || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    scheduleNetworkLogSave() {
+        if (this.networkLogTimer) return;
+        
+        this.networkLogTimer = setTimeout(() => {
+            this.networkLogTimer = null;
+            try {
+                sessionStorage.setItem('neurix_network_log', JSON.stringify(this.networkLog));
+            } catch (error) {
+                // Quota exceeded or storage unavailable - the log stays in memory
+            }
+        }, 1000);
+    }
+    
+    redactHeaders(headers) {
+        const sensitive = /^(authorization|cookie|set-cookie|x-api-key|x-csrf-token)$/i;
+        const redacted = {};
+        
+        Object.keys(headers).forEach(name => {
+            if (headers[name] === undefined) return;
+            redacted[name] = sensitive.test(name) ? '[REDACTED]' : String(headers[name]);
+        });
+        
+        return redacted;
+    }
+    
+    isSensitiveField(name) {
+        return /pass(word)?|secret|token|api[_-]?key|authorization|card|cvv|cvc|pin$|ssn/i.test(name);
+    }
+    
+    redactValue(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactValue(item));
+        }
+        
+        if (value && typeof value === 'object') {
+            const redacted = {};
+            Object.keys(value).forEach(key => {
+                redacted[key] = this.isSensitiveField(key) ? '[REDACTED]' : this.redactValue(value[key]);
+            });
+            return redacted;
+        }
+        
+        return value;
+    }
+    
+    // Same fields as redactValue, in the query string; the rest of the URL is left as sent
+    redactEndpoint(endpoint) {
+        const [path, query] = endpoint.split(/\?(.*)/s);
+        if (!query) return endpoint;
+        
+        const pairs = query.split('&').map(pair => {
+            const [name] = [...new URLSearchParams(pair).keys()];
+            return name && this.isSensitiveField(name) ? `${pair.split('=')[0]}=[REDACTED]` : pair;
+        });
+        
+        return `${path}?${pairs.join('&')}`;
+    }
+    
+    // Redacted, truncated preview of a request or response body
+    previewBody(body, maxLength = 2000) {
+        if (body === null || body === undefined || body === '') return null;
+        
+        if (typeof FormData !== 'undefined' && body instanceof FormData) {
+            return `[form data: ${[...body.keys()].join(', ')}]`;
+        }
+        
+        if (body instanceof Blob) {
+            return `[binary ${body.type || 'data'}, ${body.size} bytes]`;
+        }
+        
+        let parsed = body;
+        if (typeof body === 'string') {
+            try {
+                parsed = JSON.parse(body);
+            } catch (error) {
+                return body.length > maxLength ? `${body.slice(0, maxLength)}…` : body;
+            }
+        }
+        
+        const text = JSON.stringify(this.redactValue(parsed), null, 2);
+        return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+    }
+    
+    estimateBodySize(data) {
+        if (data === null || data === undefined) return 0;
+        if (data instanceof Blob) return data.size;
+        if (typeof FormData !== 'undefined' && data instanceof FormData) return 0;
+        if (typeof data === 'string') return new Blob([data]).size;
+        
+        try {
+            return new Blob([JSON.stringify(data)]).size;
+        } catch (error) {
+            return 0;
+        }
+    }
+    
+    // HAR 1.2 export of the network log (bodies are the redacted previews)
+    exportHAR(entries = this.networkLog) {
+        const toNameValue = (headers) => Object.keys(headers).map(name => ({ name, value: headers[name] }));
+        
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'ChangeX Neurix', version: '2.0.0' },
+                pages: [],
+                entries: entries.map(entry => {
+                    const url = new URL(entry.url, window.location.origin);
+                    
+                    return {
+                        startedDateTime: new Date(entry.startedAt).toISOString(),
+                        time: entry.duration,
+                        request: {
+                            method: entry.method,
+                            url: url.href,
+                            httpVersion: 'HTTP/1.1',
+                            cookies: [],
+                            headers: toNameValue(entry.requestHeaders),
+                            queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+                            ...(entry.requestBody ? {
+                                postData: {
+                                    mimeType: entry.requestHeaders['Content-Type'] || '',
+                                    text: entry.requestBody
+                                }
+                            } : {}),
+                            headersSize: -1,
+                            bodySize: entry.requestSize || 0
+                        },
+                        response: {
+                            status: entry.status,
+                            statusText: entry.statusText,
+                            httpVersion: 'HTTP/1.1',
+                            cookies: [],
+                            headers: toNameValue(entry.responseHeaders),
+                            content: {
+                                size: entry.size,
+                                mimeType: entry.mimeType,
+                                ...(entry.responseBody ? { text: entry.responseBody } : {})
+                            },
+                            redirectURL: '',
+                            headersSize: -1,
+                            bodySize: entry.size,
+                            ...(entry.error ? { _error: entry.error } : {})
+                        },
+                        cache: {},
+                        timings: { send: 0, wait: entry.duration, receive: 0 }
+                    };
+                })
+            }
+        };
+    }
+    
+    // Status monitoring
+    getRequestStats() {
+        const now = Date.now();
+        const oneMinute = 60000;
+        
+        const recent = Object.values(this.requests).filter(
+            req => now - req.timestamp < oneMinute
+        );
         
         const stats = {
             total: Object.keys(this.requests).length,
@@ -451,17 +1914,159 @@ class NeurixAPI {
             pending: recent.filter(req => req.status === 'pending').length,
             completed: recent.filter(req => req.status === 'completed').length,
             failed: recent.filter(req => req.status === 'failed').length,
-            queue: this.queue.length
+            cancelled: recent.filter(req => req.status === 'cancelled').length,
+            timedOut: recent.filter(req => req.status === 'timeout').length,
+            queue: this.queue.length,
+            rateLimit: this.rateLimiter ? this.rateLimiter.getState() : null,
+            dedupe: {
+                ...this.dedupeStats,
+                inflight: this.inflight.size
+            },
+            latency: this.metrics.snapshot({ windowMs: oneMinute }).totals.latency
         };
         
         return stats;
     }
     
+    // Per-endpoint latency percentiles, status classes and payload sizes
+    getMetrics(options = {}) {
+        return this.metrics.snapshot(options);
+    }
+    
     // Mock responses for testing/offline
-    mockResponse(endpoint, method, data) {
-        const mockKey = `mock_${method}_${endpoint}`;
-        this.mocks = this.mocks || {};
-        this.mocks[mockKey] = data;
+    mockResponse(endpoint, method = '*', data = null, options = {}) {
+        const mock = {
+            id: `mock_${method}_${endpoint}`,
+            endpoint,
+            method: method.toUpperCase(),
+            pattern: this.compileMockPattern(endpoint),
+            handler: data,
+            status: options.status || 200,
+            headers: options.headers || {},
+            delay: options.delay,
+            times: options.times || Infinity,
+            calls: 0
+        };
+        
+        // Later registrations for the same route replace earlier ones
+        this.mocks = this.mocks.filter(existing => existing.id !== mock.id);
+        this.mocks.push(mock);
+        
+        return mock.id;
+    }
+    
+    removeMock(mockId) {
+        this.mocks = this.mocks.filter(mock => mock.id !== mockId);
+    }
+    
+    clearMocks() {
+        this.mocks = [];
+    }
+    
+    setMockOptions(options = {}) {
+        this.mockOptions = { ...this.mockOptions, ...options };
+    }
+    
+    compileMockPattern(endpoint) {
+        const keys = [];
+        const source = endpoint
+            .split('?')[0]
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/:(\w+)/g, (match, key) => {
+                keys.push(key);
+                return '([^/]+)';
+            });
+        
+        return { regex: new RegExp(`^${source}/?$`), keys };
+    }
+    
+    findMock(method, endpoint) {
+        const path = endpoint.split('?')[0];
+        
+        // Search newest first so specific overrides win over earlier wildcards
+        for (let i = this.mocks.length - 1; i >= 0; i--) {
+            const mock = this.mocks[i];
+            
+            if (mock.calls >= mock.times) continue;
+            if (mock.method !== '*' && mock.method !== method) continue;
+            
+            const match = path.match(mock.pattern.regex);
+            if (!match) continue;
+            
+            const params = {};
+            mock.pattern.keys.forEach((key, index) => {
+                params[key] = decodeURIComponent(match[index + 1]);
+            });
+            
+            return { mock, params };
+        }
+        
+        return null;
+    }
+    
+    async resolveMock({ mock, params }, endpoint, config) {
+        mock.calls++;
+        
+        const [path, queryString] = endpoint.split('?');
+        let body = config.body;
+        
+        if (typeof body === 'string') {
+            try {
+                body = JSON.parse(body);
+            } catch (e) {
+                // Leave non-JSON bodies untouched
+            }
+        }
+        
+        const requestConfig = {
+            method: config.method,
+            endpoint,
+            path,
+            params,
+            query: Object.fromEntries(new URLSearchParams(queryString || '')),
+            headers: config.headers || {},
+            body
+        };
+        
+        let result = typeof mock.handler === 'function'
+            ? await mock.handler(requestConfig)
+            : mock.handler;
+        
+        // Handlers may return a full { status, headers, data } envelope
+        let status = mock.status;
+        let headers = { ...mock.headers };
+        
+        if (result && typeof result === 'object' && result.__mock) {
+            status = result.status || status;
+            headers = { ...headers, ...result.headers };
+            result = result.data;
+        }
+        
+        const latency = mock.delay !== undefined ? mock.delay : this.mockOptions.delay;
+        if (latency) {
+            await this.delay(typeof latency === 'function' ? latency(requestConfig) : latency);
+        }
+        
+        let payload = null;
+        if ([204, 205, 304].includes(status)) {
+            // Null body statuses
+        } else if (result instanceof Blob) {
+            payload = result;
+        } else if (typeof result === 'string') {
+            payload = result;
+            headers['Content-Type'] = headers['Content-Type'] || 'text/plain';
+        } else if (result !== undefined) {
+            payload = JSON.stringify(result);
+            headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+        }
+        
+        return new Response(payload, { status, headers });
+    }
+    
+    // Helper for function handlers that need a custom status or headers
+    mockReply(status, data = null, headers = {}) {
+        return { __mock: true, status, data, headers };
     }
     
     // Error recovery
@@ -474,6 +2079,11 @@ class NeurixAPI {
             } catch (error) {
                 lastError = error;
                 
+                // Cancelled by the caller
+                if (error.cancelled) {
+                    break;
+                }
+                
                 // Don't retry on 4xx errors (except 429)
                 if (error.status >= 400 && error.status < 500 && error.status !== 429) {
                     break;
@@ -487,3 +2097,928 @@ class NeurixAPI {
         throw lastError;
     }
 }
+
+/**
+ * Incremental Server-Sent Events parser
+ * Follows the WHATWG event stream format: buffers partial lines across chunks,
+ * joins multi-line data fields and tracks the last event id and retry interval.
+ */
+class NeurixSSEParser {
+    constructor(onEvent) {
+        this.onEvent = onEvent;
+        this.lastEventId = '';
+        this.idBuffer = '';
+        this.reset();
+    }
+    
+    // Drop any partially received event (called when a connection ends)
+    reset() {
+        this.buffer = '';
+        this.data = '';
+        this.eventType = '';
+        this.retry = undefined;
+        this.idBuffer = this.lastEventId;
+        this.isFirstChunk = true;
+    }
+    
+    feed(chunk) {
+        if (this.isFirstChunk) {
+            chunk = chunk.replace(/^\uFEFF/, '');
+            this.isFirstChunk = false;
+        }
+        
+        this.buffer += chunk;
+        
+        // Lines end in CRLF, LF or CR; a trailing CR may be the first half of a CRLF
+        const lines = this.buffer.split(/\r\n|\n|\r(?!$)/);
+        this.buffer = lines.pop();
+        
+        lines.forEach(line => this.processLine(line));
+    }
+    
+    processLine(line) {
+        if (line === '') {
+            this.dispatch();
+            return;
+        }
+        
+        // Comment line
+        if (line.startsWith(':')) return;
+        
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+        
+        switch (field) {
+            case 'event':
+                this.eventType = value;
+                break;
+                
+            case 'data':
+                this.data += value + '\n';
+                break;
+                
+            case 'id':
+                if (!value.includes('\0')) {
+                    this.idBuffer = value;
+                }
+                break;
+                
+            case 'retry':
+                if (/^\d+$/.test(value)) {
+                    this.retry = parseInt(value, 10);
+                }
+                break;
+        }
+    }
+    
+    dispatch() {
+        // The id only becomes the resume point once its event is complete
+        this.lastEventId = this.idBuffer;
+        
+        const retry = this.retry;
+        this.retry = undefined;
+        
+        if (this.data === '') {
+            this.eventType = '';
+            // A retry-only block still updates the reconnection delay
+            if (retry !== undefined) {
+                this.onEvent({ type: 'retry', data: '', id: this.lastEventId, retry });
+            }
+            return;
+        }
+        
+        const event = {
+            type: this.eventType || 'message',
+            data: this.data.slice(0, -1),
+            id: this.lastEventId,
+            retry
+        };
+        
+        this.data = '';
+        this.eventType = '';
+        
+        try {
+            this.onEvent(event);
+        } catch (error) {
+            console.error('Error processing stream event:', error);
+        }
+    }
+}
+
+/**
+ * Client-side token bucket rate limiter
+ * Holds `requests` tokens refilled evenly over `period` ms. Waiters are served by
+ * priority (high, normal, low) and FIFO within a priority; the server's
+ * X-RateLimit-* and Retry-After headers can shrink the budget or pause it.
+ */
+class NeurixRateLimiter {
+    constructor(config = {}) {
+        this.capacity = config.requests || 100;
+        this.period = config.period || 60000;
+        this.refillRate = this.capacity / this.period; // tokens per ms
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+        this.queues = { high: [], normal: [], low: [] };
+        this.timer = null;
+    }
+    
+    acquire(priority = 'normal', signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            
+            const queue = this.queues[priority] || this.queues.normal;
+            const entry = { resolve, signal, onAbort: null };
+            
+            if (signal) {
+                entry.onAbort = () => {
+                    const index = queue.indexOf(entry);
+                    if (index > -1) queue.splice(index, 1);
+                    reject(new DOMException('Aborted', 'AbortError'));
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+            
+            queue.push(entry);
+            this.drain();
+        });
+    }
+    
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillRate);
+        this.lastRefill = now;
+    }
+    
+    drain() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.refill();
+        
+        while (this.waiting() > 0) {
+            const now = Date.now();
+            
+            if (now < this.pausedUntil) {
+                this.schedule(this.pausedUntil - now);
+                return;
+            }
+            
+            if (this.tokens < 1) {
+                this.schedule((1 - this.tokens) / this.refillRate);
+                return;
+            }
+            
+            const entry = this.queues.high.shift() || this.queues.normal.shift() || this.queues.low.shift();
+            this.tokens -= 1;
+            
+            if (entry.signal) {
+                entry.signal.removeEventListener('abort', entry.onAbort);
+            }
+            entry.resolve();
+        }
+    }
+    
+    schedule(ms) {
+        this.timer = setTimeout(() => this.drain(), Math.ceil(ms));
+    }
+    
+    waiting() {
+        return this.queues.high.length + this.queues.normal.length + this.queues.low.length;
+    }
+    
+    // remaining/resetAt from X-RateLimit-Remaining and X-RateLimit-Reset (ms epoch)
+    updateFromServer(remaining, resetAt) {
+        if (isNaN(remaining)) return;
+        
+        this.refill();
+        this.tokens = Math.min(this.tokens, remaining);
+        
+        if (remaining <= 0 && resetAt) {
+            this.pauseUntil(resetAt);
+        }
+    }
+    
+    pauseUntil(timestamp) {
+        this.pausedUntil = Math.max(this.pausedUntil, timestamp);
+        this.drain();
+    }
+    
+    getState() {
+        this.refill();
+        
+        return {
+            capacity: this.capacity,
+            period: this.period,
+            available: Math.floor(this.tokens),
+            pausedUntil: this.pausedUntil > Date.now() ? this.pausedUntil : null,
+            queued: {
+                high: this.queues.high.length,
+                normal: this.queues.normal.length,
+                low: this.queues.low.length
+            }
+        };
+    }
+}
+
+/**
+ * IndexedDB response cache with LRU eviction
+ * Entries are evicted least-recently-used first once either maxEntries or maxBytes
+ * is exceeded. Falls back to memory when IndexedDB is unavailable.
+ */
+class NeurixResponseCache {
+    constructor(config = {}) {
+        this.dbName = config.dbName || 'NeurixCache';
+        this.storeName = 'responses';
+        this.maxEntries = config.maxEntries || 500;
+        this.maxBytes = config.maxBytes || 25 * 1024 * 1024; // 25MB
+        this.dbPromise = null;
+        this.memory = null;
+        
+        this.removeLegacyEntries();
+    }
+    
+    // Responses used to live in localStorage under api_cache_<endpoint>
+    removeLegacyEntries() {
+        try {
+            Object.keys(localStorage)
+                .filter(key => key.startsWith('api_cache_'))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            // Storage unavailable
+        }
+    }
+    
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        
+        if (typeof indexedDB === 'undefined') {
+            this.memory = new Map();
+            this.dbPromise = Promise.resolve(null);
+            return this.dbPromise;
+        }
+        
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            
+            request.onerror = () => reject(request.error);
+            
+            request.onsuccess = () => resolve(request.result);
+            
+            request.onupgradeneeded = event => {
+                const db = event.target.result;
+                
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('lastAccess', 'lastAccess', { unique: false });
+                    store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                }
+            };
+        }).catch(error => {
+            console.warn('IndexedDB unavailable, caching in memory:', error);
+            this.memory = new Map();
+            return null;
+        });
+        
+        return this.dbPromise;
+    }
+    
+    // Run fn(store) in a transaction and resolve with the request's result
+    async transaction(mode, fn) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = fn(transaction.objectStore(this.storeName));
+            let result;
+            
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+            
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    async get(key) {
+        await this.open();
+        
+        let entry;
+        if (this.memory) {
+            entry = this.memory.get(key);
+        } else {
+            entry = await this.transaction('readonly', store => store.get(key));
+        }
+        
+        if (!entry) return null;
+        
+        // Touch for LRU ordering without blocking the read
+        entry.lastAccess = Date.now();
+        this.put(entry).catch(() => {});
+        
+        return entry;
+    }
+    
+    async set(key, entry) {
+        const record = {
+            tags: [],
+            ...entry,
+            key,
+            lastAccess: Date.now(),
+            size: this.estimateSize(entry.data)
+        };
+        
+        // A single oversized response is not worth evicting everything for
+        if (record.size > this.maxBytes) return;
+        
+        await this.put(record);
+        await this.evict();
+    }
+    
+    async put(record) {
+        await this.open();
+        
+        if (this.memory) {
+            this.memory.set(record.key, record);
+            return;
+        }
+        
+        await this.transaction('readwrite', store => store.put(record));
+    }
+    
+    async delete(key) {
+        await this.open();
+        
+        if (this.memory) {
+            this.memory.delete(key);
+            return;
+        }
+        
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+    
+    async invalidateTags(tags) {
+        await this.open();
+        
+        const wanted = tags.filter(Boolean);
+        if (wanted.length === 0) return;
+        
+        if (this.memory) {
+            this.memory.forEach((entry, key) => {
+                if (entry.tags.some(tag => wanted.includes(tag))) {
+                    this.memory.delete(key);
+                }
+            });
+            return;
+        }
+        
+        await this.transaction('readwrite', store => {
+            wanted.forEach(tag => {
+                const request = store.index('tags').getAllKeys(tag);
+                request.onsuccess = () => request.result.forEach(key => store.delete(key));
+            });
+        });
+    }
+    
+    async evict() {
+        const entries = this.memory
+            ? [...this.memory.values()].sort((a, b) => a.lastAccess - b.lastAccess)
+            : await this.transaction('readonly', store => store.index('lastAccess').getAll());
+        
+        let count = entries.length;
+        let bytes = entries.reduce((total, entry) => total + (entry.size || 0), 0);
+        const expired = [];
+        
+        for (const entry of entries) {
+            if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+            
+            expired.push(entry.key);
+            count--;
+            bytes -= entry.size || 0;
+        }
+        
+        if (expired.length === 0) return;
+        
+        if (this.memory) {
+            expired.forEach(key => this.memory.delete(key));
+            return;
+        }
+        
+        await this.transaction('readwrite', store => {
+            expired.forEach(key => store.delete(key));
+        });
+    }
+    
+    async clear() {
+        await this.open();
+        
+        if (this.memory) {
+            this.memory.clear();
+            return;
+        }
+        
+        await this.transaction('readwrite', store => store.clear());
+    }
+    
+    estimateSize(data) {
+        if (data instanceof Blob) return data.size;
+        
+        try {
+            // UTF-16 in memory, close enough for budgeting
+            return JSON.stringify(data).length * 2;
+        } catch (error) {
+            return 0;
+        }
+    }
+}
+
+/**
+ * Client-side request metrics
+ * Keeps one sample per completed request for `retention` ms (capped at
+ * `maxSamples`) and summarizes any window of them per endpoint: latency
+ * percentiles, counts by status class and request/response sizes. Endpoints are
+ * grouped by path with id-like segments replaced by `:id`.
+ */
+class NeurixMetrics {
+    constructor(config = {}) {
+        this.retention = config.retention || 15 * 60000; // 15 minutes
+        this.maxSamples = config.maxSamples || 5000;
+        this.samples = [];
+    }
+    
+    record(entry, error = null) {
+        const cancelled = Boolean(error && error.cancelled);
+        
+        this.samples.push({
+            timestamp: entry.startedAt + entry.duration,
+            key: `${entry.method} ${this.normalizeEndpoint(entry.endpoint)}`,
+            duration: entry.duration,
+            statusClass: cancelled ? 'cancelled' : entry.status ? `${Math.floor(entry.status / 100)}xx` : 'failed',
+            requestSize: entry.requestSize || 0,
+            responseSize: entry.size || 0
+        });
+        
+        this.prune();
+    }
+    
+    prune(now = Date.now()) {
+        const cutoff = now - this.retention;
+        let drop = 0;
+        
+        while (drop < this.samples.length && this.samples[drop].timestamp < cutoff) drop++;
+        drop = Math.max(drop, this.samples.length - this.maxSamples);
+        
+        if (drop > 0) this.samples.splice(0, drop);
+    }
+    
+    normalizeEndpoint(endpoint) {
+        return endpoint.split('?')[0].split('/').map(segment => {
+            if (/^\d+$/.test(segment)) return ':id';
+            if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return ':id';
+            if (/^[0-9a-z_-]{16,}$/i.test(segment) && /\d/.test(segment)) return ':id';
+            return segment;
+        }).join('/');
+    }
+    
+    // Summary of the samples completed in (since, until]; defaults to the last `windowMs`
+    snapshot(options = {}) {
+        const until = options.until || Date.now();
+        const since = options.since !== undefined ? options.since : until - (options.windowMs || 5 * 60000);
+        
+        this.prune(until);
+        
+        const groups = new Map();
+        const all = [];
+        
+        this.samples.forEach(sample => {
+            if (sample.timestamp <= since || sample.timestamp > until) return;
+            
+            if (!groups.has(sample.key)) groups.set(sample.key, []);
+            groups.get(sample.key).push(sample);
+            all.push(sample);
+        });
+        
+        const endpoints = [...groups.entries()].map(([key, samples]) => {
+            const [method, endpoint] = key.split(' ');
+            return { method, endpoint, ...this.summarize(samples) };
+        }).sort((a, b) => b.count - a.count);
+        
+        return {
+            since,
+            until,
+            totals: this.summarize(all),
+            endpoints
+        };
+    }
+    
+    summarize(samples) {
+        const statusClasses = { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0, failed: 0, cancelled: 0 };
+        samples.forEach(sample => {
+            statusClasses[sample.statusClass] = (statusClasses[sample.statusClass] || 0) + 1;
+        });
+        
+        // Cancelled requests say nothing about the backend - keep them out of latency and error rate
+        const completed = samples.filter(sample => sample.statusClass !== 'cancelled');
+        const durations = completed.map(sample => sample.duration).sort((a, b) => a - b);
+        const errors = statusClasses['4xx'] + statusClasses['5xx'] + statusClasses.failed;
+        const sum = (values) => values.reduce((total, value) => total + value, 0);
+        const requestBytes = sum(samples.map(sample => sample.requestSize));
+        const responseBytes = sum(samples.map(sample => sample.responseSize));
+        
+        return {
+            count: samples.length,
+            latency: {
+                p50: this.percentile(durations, 50),
+                p95: this.percentile(durations, 95),
+                p99: this.percentile(durations, 99),
+                max: durations.length ? durations[durations.length - 1] : null,
+                mean: durations.length ? Math.round(sum(durations) / durations.length) : null
+            },
+            statusClasses,
+            errorRate: completed.length ? errors / completed.length : 0,
+            requestBytes: {
+                total: requestBytes,
+                mean: samples.length ? Math.round(requestBytes / samples.length) : 0
+            },
+            responseBytes: {
+                total: responseBytes,
+                mean: samples.length ? Math.round(responseBytes / samples.length) : 0
+            }
+        };
+    }
+    
+    // Nearest-rank percentile of an ascending list
+    percentile(sorted, p) {
+        if (sorted.length === 0) return null;
+        return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+    }
+    
+    clear() {
+        this.samples = [];
+    }
+}
+
+/**
+ * JSON Schema validator for the generated API client
+ * Covers the OpenAPI 3.0 subset used in openapi/neurix-api.json: $ref, type,
+ * nullable, enum, required, properties, additionalProperties: false, items,
+ * minLength/maxLength, minItems/maxItems, minimum/maximum and pattern. Errors are
+ * { field, message } with dotted field paths, the shape ValidationError.normalize() accepts.
+ */
+class NeurixSchemaValidator {
+    constructor(schemas = {}) {
+        this.schemas = schemas;
+    }
+    
+    validate(value, schema, path = '') {
+        const errors = [];
+        this.check(value, schema, path, errors);
+        return errors;
+    }
+    
+    resolve(schema) {
+        if (schema && schema.$ref) {
+            const name = schema.$ref.split('/').pop();
+            if (!this.schemas[name]) {
+                throw new Error(`Unknown schema reference ${schema.$ref}`);
+            }
+            return this.resolve(this.schemas[name]);
+        }
+        return schema || {};
+    }
+    
+    check(value, rawSchema, path, errors) {
+        const schema = this.resolve(rawSchema);
+        const field = path || '_';
+        const fail = (message) => errors.push({ field, message });
+        
+        if (value === null || value === undefined) {
+            // nullable may sit next to a $ref
+            if (value === null && !schema.nullable && !(rawSchema && rawSchema.nullable)) fail('must not be null');
+            return;
+        }
+        
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            fail(`must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`);
+            return;
+        }
+        
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.join(', ')}`);
+        }
+        
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'is required' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail(`must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail('has an invalid format');
+            }
+        }
+        
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+        }
+        
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+            if (schema.items) {
+                value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, errors));
+            }
+        }
+        
+        if (schema.type === 'object' || schema.properties) {
+            const properties = schema.properties || {};
+            const prefix = path ? `${path}.` : '';
+            
+            (schema.required || []).forEach(name => {
+                if (value[name] === undefined || value[name] === '') {
+                    errors.push({ field: `${prefix}${name}`, message: 'is required' });
+                }
+            });
+            
+            Object.keys(value).forEach(name => {
+                if (properties[name]) {
+                    if (value[name] !== '') this.check(value[name], properties[name], `${prefix}${name}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ field: `${prefix}${name}`, message: 'is not allowed' });
+                }
+            });
+        }
+    }
+    
+    matchesType(value, type) {
+        switch (type) {
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && !isNaN(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return typeof value === 'object' && !Array.isArray(value);
+            default: return typeof value === type;
+        }
+    }
+}
+
+/**
+ * Normalized GraphQL cache
+ * Objects with an id are stored once as entities (`Typename:id` - select __typename
+ * to keep ids of different types apart) and referenced from cached query results,
+ * so a mutation or subscription that returns an entity updates every query holding it.
+ * Each cached query also records which fields it selected, so reads return exactly
+ * that shape and miss when an entity lacks a selected field.
+ */
+class NeurixGraphCache {
+    constructor(config = {}) {
+        this.ttl = config.ttl || 5 * 60000; // 5 minutes
+        this.maxQueries = config.maxQueries || 100;
+        this.dataIdFromObject = config.dataIdFromObject || (object => (
+            object.id !== undefined && object.id !== null ? `${object.__typename || 'Entity'}:${object.id}` : null
+        ));
+        this.entities = new Map();
+        this.queries = new Map();
+    }
+    
+    queryKey(document, variables = {}) {
+        return `${document.replace(/\s+/g, ' ').trim()}|${this.stableStringify(variables)}`;
+    }
+    
+    stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+    
+    readQuery(key) {
+        const entry = this.queries.get(key);
+        if (!entry) return undefined;
+        
+        if (Date.now() - entry.timestamp > this.ttl) {
+            this.queries.delete(key);
+            return undefined;
+        }
+        
+        // Least recently used queries are evicted first
+        this.queries.delete(key);
+        this.queries.set(key, entry);
+        
+        try {
+            return this.denormalize(entry.value, entry.shape);
+        } catch (error) {
+            // An entity was cleared or lacks a field this query selected
+            return undefined;
+        }
+    }
+    
+    writeQuery(key, data) {
+        this.queries.delete(key);
+        this.queries.set(key, {
+            value: this.normalize(data),
+            shape: this.shapeOf(data),
+            timestamp: Date.now()
+        });
+        
+        while (this.queries.size > this.maxQueries) {
+            this.queries.delete(this.queries.keys().next().value);
+        }
+    }
+    
+    // Merge the entities in a mutation or subscription result without caching it as a query
+    writeResult(data) {
+        this.normalize(data);
+    }
+    
+    normalize(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.normalize(item));
+        }
+        
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        
+        const normalized = {};
+        Object.keys(value).forEach(field => {
+            normalized[field] = this.normalize(value[field]);
+        });
+        
+        const id = this.dataIdFromObject(value);
+        if (!id) return normalized;
+        
+        this.entities.set(id, { ...this.entities.get(id), ...normalized });
+        return { __ref: id };
+    }
+    
+    // Selected fields of a result: { field: shape } for objects, true for scalars
+    shapeOf(value) {
+        if (Array.isArray(value)) {
+            return value.reduce((shape, item) => this.mergeShapes(shape, this.shapeOf(item)), true);
+        }
+        
+        if (!value || typeof value !== 'object') {
+            return true;
+        }
+        
+        const shape = {};
+        Object.keys(value).forEach(field => {
+            shape[field] = this.shapeOf(value[field]);
+        });
+        return shape;
+    }
+    
+    mergeShapes(a, b) {
+        if (a === true) return b;
+        if (b === true) return a;
+        
+        const merged = { ...a };
+        Object.keys(b).forEach(field => {
+            merged[field] = field in merged ? this.mergeShapes(merged[field], b[field]) : b[field];
+        });
+        return merged;
+    }
+    
+    denormalize(value, shape) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.denormalize(item, shape));
+        }
+        
+        if (!value || typeof value !== 'object' || shape === true) {
+            return value;
+        }
+        
+        const source = value.__ref ? this.entities.get(value.__ref) : value;
+        if (!source) {
+            throw new Error(`Missing entity ${value.__ref}`);
+        }
+        
+        const result = {};
+        Object.keys(shape).forEach(field => {
+            if (!(field in source)) {
+                // Entities may have been written by a query that selected less
+                if (value.__ref) throw new Error(`Missing field ${field}`);
+                
+                // Plain objects are stored as received - the field came from another item of the list
+                return;
+            }
+            result[field] = this.denormalize(source[field], shape[field]);
+        });
+        return result;
+    }
+    
+    clear() {
+        this.entities.clear();
+        this.queries.clear();
+    }
+}
+
+/**
+ * API error types
+ * All carry the HTTP status, the server's error code, the request id (X-Request-ID
+ * header or request_id in the body) and the raw response body.
+ */
+class NeurixAPIError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'NeurixAPIError';
+        this.status = details.status || null;
+        this.code = details.code || null;
+        this.requestId = details.requestId || null;
+        this.retryAfter = details.retryAfter !== undefined ? details.retryAfter : null;
+        this.data = details.data;
+        
+        if (details.cause) {
+            this.cause = details.cause;
+        }
+    }
+}
+
+class ValidationError extends NeurixAPIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ValidationError';
+        this.errors = ValidationError.normalize(details.errors);
+    }
+    
+    // Accepts { field: 'msg' }, { field: ['msg'] } or [{ field, message }]
+    // and returns { field: ['msg', ...] }
+    static normalize(errors) {
+        const normalized = {};
+        
+        if (Array.isArray(errors)) {
+            errors.forEach(item => {
+                const field = item.field || item.path || item.param || '_';
+                (normalized[field] = normalized[field] || []).push(item.message || item.msg || String(item));
+            });
+        } else if (errors && typeof errors === 'object') {
+            Object.keys(errors).forEach(field => {
+                normalized[field] = [].concat(errors[field]).map(String);
+            });
+        }
+        
+        return normalized;
+    }
+}
+
+class AuthError extends NeurixAPIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'AuthError';
+        this.forbidden = details.status === 403;
+    }
+}
+
+class NotFoundError extends NeurixAPIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'NotFoundError';
+    }
+}
+
+class RateLimitError extends NeurixAPIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'RateLimitError';
+    }
+}
+
+class ServerError extends NeurixAPIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ServerError';
+    }
+}
+
+// Errors in a GraphQL response body; `errors` is the server's list, `data` any partial result
+class GraphQLError extends NeurixAPIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GraphQLError';
+        this.errors = details.errors || [];
+    }
+}
+
+// cancelled - the caller aborted the request; timedOut - it ran past its timeout
+class NetworkError extends NeurixAPIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'NetworkError';
+        this.cancelled = Boolean(details.cancelled);
+        this.timedOut = Boolean(details.timedOut);
+    }
+}
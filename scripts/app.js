@@ -17,8 +17,13 @@ class NeurixApp {
             enableOfflineMode: true,
             enableModelCache: true,
             enableAutoSave: true,
+            enableNetworkInspector: true, // Ctrl+Shift+Y opens the network drawer
             autoSaveInterval: 30000, // 30 seconds
             maxFileSize: 1024 * 1024 * 100, // 100MB
+            uploadTypes: { // source media the processing pages accept
+                audio: ['audio/*'],
+                video: ['video/*', 'image/*']
+            },
             maxImageSize: 4096,
             maxVideoDuration: 300, // 5 minutes
             maxAudioDuration: 3600, // 1 hour
@@ -28,9 +33,25 @@ class NeurixApp {
             defaultAudioModel: 'tts-v1',
             iotRefreshInterval: 10000, // 10 seconds
             analyticsRefreshInterval: 60000, // 1 minute
+            metricsFlushInterval: 60000, // 1 minute
+            jobPollInterval: 3000, // 3 seconds, only while the socket is down
+            diagnosticsRefreshInterval: 5000, // 5 seconds
+            dashboardRefreshIntervals: { // per dashboard card; socket pushes update between polls
+                stats: 60000,
+                activity: 30000,
+                health: 15000,
+                performance: 300000
+            },
             notificationCheckInterval: 30000, // 30 seconds
             sessionTimeout: 3600000, // 1 hour
             idleTimeout: 300000, // 5 minutes
+            requestTimeout: 30000, // 30 seconds
+            useBatchEndpoint: false, // multiplex page loads through /batch
+            useGraphQL: false, // load the dashboard with one GraphQL query
+            routerMode: 'hash', // 'history' needs the server to serve index.html for app paths
+            templateCacheSize: 50, // page sources and compiled templates kept in memory
+            templateReloadInterval: 2000, // dev mode: re-check /pages/*.html for edits
+            devMode: ['localhost', '127.0.0.1'].includes(window.location.hostname),
             rateLimit: {
                 requests: 100,
                 period: 60000 // 1 minute
@@ -40,9 +61,13 @@ class NeurixApp {
         this.state = {
             user: null,
             token: localStorage.getItem('token'),
+            refreshToken: localStorage.getItem('refreshToken'),
             theme: localStorage.getItem('theme') || this.config.defaultTheme,
             currentPage: 'dashboard',
             previousPage: null,
+            route: null,
+            performanceRange: 7, // days shown by the dashboard's Model Performance chart
+            dashboardEditing: false,
             isLoading: false,
             isOnline: navigator.onLine,
             isIdle: false,
@@ -98,6 +123,8 @@ class NeurixApp {
             onIotUpdate: [],
             onNotification: [],
             onJobUpdate: [],
+            onSystemHealth: [],
+            onActivity: [],
             onConnectionChange: []
         };
 
@@ -164,13 +191,35 @@ class NeurixApp {
         this.components.api = new NeurixAPI({
             baseUrl: this.config.apiBaseUrl,
             token: this.state.token,
+            refreshToken: this.state.refreshToken,
+            timeout: this.config.requestTimeout,
+            rateLimit: this.config.rateLimit,
+            maxFileSize: this.config.maxFileSize,
             onTokenExpired: this.handleTokenExpired.bind(this),
+            onTokenRefreshed: this.handleTokenRefreshed.bind(this),
             onRateLimitExceeded: this.handleRateLimit.bind(this)
         });
+        
+        // Typed endpoints generated from openapi/neurix-api.json (validated in development)
+        this.components.client = new NeurixAPIClient(this.components.api, {
+            validate: this.config.devMode
+        });
 
         // Initialize storage
         this.components.storage = new NeurixStorage();
 
+        // Initialize page templates - production builds ship them parsed (tools/bundle-templates.js)
+        this.components.templates = new NeurixTemplates({
+            maxCompiled: this.config.templateCacheSize
+        });
+        
+        if (typeof NEURIX_TEMPLATE_BUNDLE !== 'undefined' && !this.config.devMode) {
+            this.components.templates.load(NEURIX_TEMPLATE_BUNDLE);
+        }
+        
+        // Re-renders of the page on screen are patched into the existing DOM
+        this.components.patcher = new NeurixPatcher();
+
         // Initialize model manager
         this.components.models = new ModelManager({
             api: this.components.api,
@@ -200,10 +249,47 @@ class NeurixApp {
             api: this.components.api
         });
 
+        // Initialize drafts (unsaved form and editor state)
+        this.components.drafts = new DraftManager({
+            onDraftAvailable: this.handleDraftAvailable.bind(this)
+        });
+
+        // Initialize dashboard widgets (registered while the dashboard is on screen)
+        this.components.widgets = new DashboardWidgets({
+            subscribe: (eventName, callback) => {
+                this.on(eventName, callback);
+                return () => this.off(eventName, callback);
+            },
+            onStateChange: this.handleWidgetStateChange.bind(this)
+        });
+
+        // Initialize the dashboard layout (saved per user, with a local copy)
+        this.components.layout = new DashboardLayout({
+            catalog: DASHBOARD_WIDGETS,
+            client: this.components.client,
+            onSaveError: (error) => {
+                if (error.cancelled) return;
+                this.showToast('Dashboard layout saved on this device only', 'warning');
+            }
+        });
+
+        // Initialize generation jobs
+        this.components.jobs = new JobManager({
+            client: this.components.client,
+            pollInterval: this.config.jobPollInterval,
+            onJobUpdate: this.handleJobUpdate.bind(this)
+        });
+
         // Initialize analytics
         this.components.analytics = new AnalyticsManager({
             api: this.components.api,
-            refreshInterval: this.config.analyticsRefreshInterval
+            client: this.components.client,
+            refreshInterval: this.config.analyticsRefreshInterval,
+            metricsFlushInterval: this.config.metricsFlushInterval,
+            getContext: () => ({
+                page: this.state.currentPage,
+                user_id: this.state.user ? this.state.user.id : null
+            })
         });
     }
 
@@ -256,9 +342,14 @@ class NeurixApp {
                 onConnect: this.handleSocketConnect.bind(this),
                 onDisconnect: this.handleSocketDisconnect.bind(this),
                 onMessage: this.handleSocketMessage.bind(this),
-                onError: this.handleSocketError.bind(this)
+                onError: this.handleSocketError.bind(this),
+                onConnectionChange: this.handleSocketConnectionChange.bind(this)
             });
             
+            // GraphQL subscriptions and job progress run over the same connection
+            this.components.api.setSocket(this.components.socket);
+            this.components.jobs.setSocket(this.components.socket);
+            
             await this.components.socket.connect();
         } catch (error) {
             console.warn('WebSocket connection failed:', error);
@@ -270,6 +361,8 @@ class NeurixApp {
         this.components.notifications = new NotificationManager({
             api: this.components.api,
             checkInterval: this.config.notificationCheckInterval,
+            // Background checks yield to requests the user is waiting on
+            requestOptions: { priority: 'low' },
             onNotification: this.handleNotification.bind(this)
         });
         
@@ -286,6 +379,9 @@ class NeurixApp {
         
         // Track user actions
         this.setupAnalyticsTracking();
+        
+        // Report request latency and errors
+        this.components.analytics.start();
     }
 
     // Load initial data
@@ -294,6 +390,9 @@ class NeurixApp {
             // Check authentication
             if (this.state.token) {
                 await this.loadUserData();
+                
+                // Pick up generation jobs still running from the last visit
+                this.components.jobs.restore();
             }
             
             // Load system status
@@ -316,6 +415,13 @@ class NeurixApp {
 
     // Start background tasks
     startBackgroundTasks() {
+        // Re-render the page when a template it uses is edited
+        if (this.config.devMode) {
+            this.templateReloadTimer = setInterval(() => {
+                this.reloadChangedTemplates();
+            }, this.config.templateReloadInterval);
+        }
+        
         // Auto-save
         if (this.config.enableAutoSave) {
             this.state.autoSaveTimer = setInterval(() => {
@@ -346,31 +452,55 @@ class NeurixApp {
     // Initialize router
     initializeRouter() {
         this.components.router = new NeurixRouter({
+            mode: this.config.routerMode,
+            defaultRoute: 'dashboard',
             routes: {
                 'dashboard': this.loadDashboard.bind(this),
-                'models': this.loadModels.bind(this),
-                'models/text': this.loadTextModel.bind(this),
-                'models/image': this.loadImageModel.bind(this),
-                'models/video': this.loadVideoModel.bind(this),
-                'models/audio': this.loadAudioModel.bind(this),
-                'models/code': this.loadCodeModel.bind(this),
-                'automation': this.loadAutomation.bind(this),
-                'iot': this.loadIot.bind(this),
-                'scripts': this.loadScripts.bind(this),
-                'payments': this.loadPayments.bind(this),
-                'profile': this.loadProfile.bind(this),
-                'settings': this.loadSettings.bind(this),
-                'admin': this.loadAdmin.bind(this),
-                'notifications': this.loadNotifications.bind(this),
-                'create/image': this.createImage.bind(this),
-                'create/video': this.createVideo.bind(this),
-                'create/audio': this.createAudio.bind(this),
-                'create/automation': this.createAutomation.bind(this)
+                'models': {
+                    handler: this.loadModels.bind(this),
+                    children: {
+                        'text': { handler: this.loadTextModel.bind(this), auth: true },
+                        'image': { handler: this.loadImageModel.bind(this), auth: true },
+                        'video': { handler: this.loadVideoModel.bind(this), auth: true },
+                        'audio': { handler: this.loadAudioModel.bind(this), auth: true },
+                        'code': { handler: this.loadCodeModel.bind(this), auth: true },
+                        ':id': this.loadModel.bind(this)
+                    }
+                },
+                'automation': {
+                    handler: this.loadAutomation.bind(this),
+                    auth: true,
+                    children: {
+                        'new': this.loadWorkflowEditor.bind(this)
+                    }
+                },
+                'iot': { handler: this.loadIot.bind(this), auth: true },
+                'scripts': { handler: this.loadScripts.bind(this), auth: true },
+                'payments': { handler: this.loadPayments.bind(this), auth: true },
+                'profile': { handler: this.loadProfile.bind(this), auth: true },
+                'settings': { handler: this.loadSettings.bind(this), auth: true },
+                'admin': { handler: this.loadAdmin.bind(this), roles: ['admin'] },
+                'notifications': { handler: this.loadNotifications.bind(this), auth: true },
+                'diagnostics': {
+                    handler: this.loadDiagnostics.bind(this),
+                    // The metrics panel only downloads when someone opens it
+                    module: '/scripts/diagnostics.js'
+                },
+                'create/image': { redirect: 'models/image' },
+                'create/video': { redirect: 'models/video' },
+                'create/audio': { redirect: 'models/audio' },
+                'create/automation': { redirect: 'automation/new' }
             },
+            notFound: this.loadNotFound.bind(this),
+            isAuthenticated: () => Boolean(this.state.token),
+            hasRole: (roles) => Boolean(this.state.user) && roles.includes(this.state.user.role),
             onRouteChange: this.handleRouteChange.bind(this),
             onRouteError: this.handleRouteError.bind(this)
         });
         
+        // Ask before leaving a page with unsaved edits
+        this.components.router.beforeEach(this.confirmLeave.bind(this));
+        
         // Start router
         this.components.router.start();
     }
@@ -406,11 +536,91 @@ class NeurixApp {
             this.updateLastActivity();
         });
         
-        // Before unload
-        window.addEventListener('beforeunload', (e) => {
-            if (this.hasUnsavedChanges()) {
-                e.preventDefault();
-                e.returnValue = 'You have unsaved changes. Are you sure you want to leave?';
+        // Network inspector shortcut
+        if (this.config.enableNetworkInspector) {
+            document.addEventListener('keydown', (e) => {
+                if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'y') {
+                    e.preventDefault();
+                    this.toggleNetworkInspector();
+                }
+            });
+        }
+        
+        // Before unload - bound once so destroy() can remove it
+        this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
+        window.addEventListener('beforeunload', this.handleBeforeUnload);
+    }
+
+    handleBeforeUnload(e) {
+        // Keep the edits for the next visit even if the user leaves anyway
+        this.autoSave();
+        
+        if (this.hasUnsavedChanges()) {
+            e.preventDefault();
+            e.returnValue = 'You have unsaved changes. Are you sure you want to leave?';
+        }
+    }
+
+    // Unsaved changes - forms and editors tracked by the draft registry
+    hasUnsavedChanges() {
+        return this.components.drafts ? this.components.drafts.isDirty() : false;
+    }
+
+    autoSave() {
+        if (!this.components.drafts) return;
+        
+        this.components.drafts.saveDrafts();
+    }
+
+    // Router guard - leaving a dirty page asks whether to keep the edits as drafts
+    async confirmLeave(to, from) {
+        const drafts = this.components.drafts;
+        if (!from || to.path === from.path || !drafts.isDirty(from.path)) return true;
+        
+        if (!window.neurixComponents) {
+            return window.confirm('You have unsaved changes. Are you sure you want to leave?');
+        }
+        
+        const choice = await window.neurixComponents.showConfirm({
+            title: 'Unsaved changes',
+            message: 'This page has changes that haven\'t been submitted. Keep them as a draft for later?',
+            buttons: [
+                { label: 'Stay', value: null, className: 'btn-outline-secondary' },
+                { label: 'Discard', value: 'discard', className: 'btn-outline-danger' },
+                { label: 'Keep draft', value: 'keep', className: 'btn-primary' }
+            ]
+        });
+        
+        if (choice === 'keep') {
+            drafts.saveDrafts(from.path);
+        } else if (choice === 'discard') {
+            drafts.discardPage(from.path);
+        }
+        
+        return choice !== null;
+    }
+
+    // Forms, textareas and code editors marked with data-draft="<id>"
+    registerDrafts(container) {
+        container.querySelectorAll('[data-draft]').forEach(element => {
+            // Code editors move data-draft onto their textarea
+            if (element.classList.contains('code-editor')) return;
+            if (this.components.drafts.isTracking(element)) return;
+            
+            this.components.drafts.registerElement(element, { page: this.state.currentPage });
+        });
+    }
+
+    handleDraftAvailable(entry, draft) {
+        const savedAt = new Date(draft.savedAt).toLocaleString();
+        
+        this.showToast(`You have an unsaved ${entry.label} from ${savedAt}.`, 'info', {
+            delay: 15000,
+            action: 'Restore',
+            onClick: () => {
+                if (this.components.drafts.restore(entry.id)) {
+                    this.showToast('Draft restored', 'success');
+                }
             }
         });
     }
@@ -439,17 +649,16 @@ class NeurixApp {
         try {
             this.setLoading(true);
             
-            const response = await this.components.api.post('/auth/login', credentials);
+            const response = await this.components.client.auth.login(credentials);
             
             if (response.success) {
-                this.state.token = response.token;
-                this.state.user = response.user;
+                const { token, refresh_token: refreshToken, user } = response.data;
                 
-                // Save token
-                localStorage.setItem('token', response.token);
+                this.state.user = user;
                 
-                // Update API client
-                this.components.api.setToken(response.token);
+                // Save tokens and update API client
+                this.handleTokenRefreshed(token, refreshToken);
+                this.components.api.setToken(token, refreshToken);
                 
                 // Update UI
                 this.updateUIForAuthState();
@@ -463,10 +672,11 @@ class NeurixApp {
                 }
                 
                 // Show welcome message
-                this.showToast(`Welcome back, ${response.user.username}!`, 'success');
+                this.showToast(`Welcome back, ${user.username}!`, 'success');
                 
-                // Navigate to dashboard
-                this.navigateTo('dashboard');
+                // Back to the page that asked for a sign-in, or the dashboard
+                const route = this.state.route;
+                this.navigateTo((route && route.query.redirect) || 'dashboard', { replace: Boolean(route && route.query.redirect) });
                 
                 return { success: true };
             }
@@ -478,19 +688,106 @@ class NeurixApp {
         }
     }
 
+    // Persist a token pair issued by login or a background refresh
+    handleTokenRefreshed(token, refreshToken) {
+        this.state.token = token;
+        this.state.refreshToken = refreshToken || null;
+        
+        localStorage.setItem('token', token);
+        if (refreshToken) {
+            localStorage.setItem('refreshToken', refreshToken);
+        } else {
+            localStorage.removeItem('refreshToken');
+        }
+        
+        // The socket re-authenticates with the new token
+        if (this.components.socket) {
+            this.components.socket.setToken(token);
+        }
+    }
+
+    // Socket events
+    handleSocketConnect({ reconnected }) {
+        if (reconnected) {
+            this.showToast('Real-time connection restored', 'success');
+        }
+    }
+
+    handleSocketDisconnect({ willReconnect }) {
+        if (willReconnect) {
+            console.warn('Real-time connection lost, reconnecting...');
+        }
+    }
+
+    handleSocketConnectionChange(change) {
+        this.state.socket = change.status;
+        this.emitEvent('onConnectionChange', change);
+    }
+
+    // Server pushes outside a topic subscription, routed to the matching app event
+    handleSocketMessage(message) {
+        const events = {
+            'notification': 'onNotification',
+            'model:update': 'onModelUpdate',
+            'iot:update': 'onIotUpdate',
+            'job:update': 'onJobUpdate',
+            'system:health': 'onSystemHealth',
+            'activity:new': 'onActivity',
+            'user:update': 'onUserUpdate'
+        };
+        
+        const eventName = events[message.type];
+        if (eventName) {
+            this.emitEvent(eventName, message.payload);
+        } else {
+            console.debug('Unhandled socket message:', message.type);
+        }
+    }
+
+    handleSocketError(error) {
+        console.warn('Socket error:', error.message);
+    }
+
+    // Generation job progress
+    handleJobUpdate(job) {
+        const jobs = this.components.jobs.getJobs();
+        
+        this.state.activeJobs = jobs.filter(item => ['queued', 'running'].includes(item.status));
+        this.state.completedJobs = jobs.filter(item => item.status === 'completed');
+        this.state.failedJobs = jobs.filter(item => item.status === 'failed');
+        
+        if (!this.jobsTray && window.neurixComponents) {
+            this.jobsTray = window.neurixComponents.createJobsTray(this.components.jobs);
+        }
+        
+        if (job.status === 'failed') {
+            this.showToast(`${job.title || 'Generation job'} failed`, 'danger', { plainText: true });
+        }
+        
+        this.emitEvent('onJobUpdate', job);
+    }
+
     async logout() {
         try {
             this.setLoading(true);
             
+            // Pending layout saves still go out under this user's token
+            this.components.layout.flush();
+            
             // Call logout endpoint
-            await this.components.api.post('/auth/logout');
+            await this.components.client.auth.logout();
             
             // Clear state
             this.state.token = null;
+            this.state.refreshToken = null;
             this.state.user = null;
+            this.components.api.setToken(null);
             
             // Clear storage
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
+            this.components.drafts.clearAll();
+            this.components.jobs.clearAll();
             
             // Disconnect WebSocket
             if (this.components.socket) {
@@ -514,12 +811,67 @@ class NeurixApp {
         }
     }
 
-    // Navigation
-    navigateTo(page, params = {}) {
+    // Navigation - options: { query, replace }
+    navigateTo(page, options = {}) {
         if (this.components.router) {
-            this.components.router.navigateTo(page, params);
+            return this.components.router.navigateTo(page, options);
+        }
+        
+        window.location.hash = page;
+        return Promise.resolve(true);
+    }
+
+    goBack() {
+        if (this.state.previousPage && this.components.router) {
+            this.components.router.back();
         } else {
-            window.location.hash = page;
+            this.navigateTo('dashboard');
+        }
+    }
+
+    // Route change - abandon requests still running for the page being left
+    handleRouteChange(route) {
+        const leaving = this.state.currentPage;
+        const page = route.path;
+        
+        if (leaving && leaving !== page && this.components.api) {
+            this.components.api.cancelByTag(`page:${leaving}`);
+        }
+        
+        // The guard already saved or discarded anything the user cared about
+        if (leaving && leaving !== page) {
+            this.components.drafts.unregisterPage(leaving);
+        }
+        
+        if (this.components.diagnostics) {
+            this.components.diagnostics.stop();
+        }
+        
+        if (leaving !== page) {
+            this.components.widgets.clear();
+            this.state.dashboardEditing = false;
+        }
+        
+        this.state.previousPage = leaving;
+        this.state.currentPage = page;
+        this.state.route = route;
+        
+        this.emitEvent('onPageChange', page);
+    }
+
+    // Guard refusals, page modules that failed to load and handler errors
+    handleRouteError(error, route) {
+        if (error.cancelled) return;
+        
+        if (error.code === 'UNAUTHENTICATED') {
+            this.showToast(error.message, 'warning');
+        } else if (error.code === 'FORBIDDEN') {
+            this.showToast(error.message, 'danger');
+        } else if (error instanceof NotFoundError) {
+            this.loadNotFound({ path: route ? route.path : '' });
+        } else {
+            console.error('Route error:', error);
+            this.showError('Failed to load page', error.message);
         }
     }
 
@@ -528,33 +880,327 @@ class NeurixApp {
         try {
             this.setLoading(true);
             
-            const [stats, activity, health] = await Promise.all([
-                this.components.api.get('/dashboard/stats'),
-                this.components.api.get('/activity/recent'),
-                this.components.api.get('/health')
+            const [{ stats, activity, health }] = await Promise.all([
+                this.config.useGraphQL
+                    ? this.components.api.query(DASHBOARD_QUERY, { activityLimit: 10 }, {
+                        operationName: 'Dashboard',
+                        // REST writes don't reach the GraphQL cache, so a page load always asks the server
+                        fetchPolicy: 'network-only',
+                        tag: 'page:dashboard'
+                    })
+                    : this.fetchDashboardREST(),
+                this.components.layout.load(this.state.user ? this.state.user.id : null, { tag: 'page:dashboard' })
             ]);
             
-            const content = await this.renderTemplate('dashboard', {
-                stats: stats.data,
-                activity: activity.data,
-                health: health.data,
-                user: this.state.user
-            });
+            // A fresh load starts every card over; layout edits re-render with the data they have
+            this.components.widgets.clear();
+            this.dashboardData = {
+                stats,
+                activity,
+                health,
+                notifications: this.state.notifications.slice(0, 5)
+            };
             
-            this.setContent(content);
-            this.initializeDashboardComponents();
+            await this.renderDashboard();
         } catch (error) {
+            if (error.cancelled) return;
             this.showError('Failed to load dashboard', error.message);
         } finally {
             this.setLoading(false);
         }
     }
 
+    // Render the user's layout with the latest data each card has
+    async renderDashboard() {
+        const layout = this.components.layout;
+        const data = { ...this.dashboardData };
+        
+        this.components.widgets.widgets.forEach(widget => {
+            if (widget.data !== null) data[widget.id] = widget.data;
+        });
+        
+        const widgets = await Promise.all(layout.getVisible().map(async widget => ({
+            ...widget,
+            content: await this.renderPartial(widget.partial, widget.source ? data[widget.source] : {})
+        })));
+        
+        const content = await this.renderTemplate('dashboard', {
+            widgets,
+            available: layout.getAvailable(),
+            editing: this.state.dashboardEditing,
+            user: this.state.user
+        });
+        
+        this.setContent(content);
+        this.initializeDashboardWidgets(data);
+        this.initializeDashboardLayout();
+    }
+
+    // Each visible card polls its own source; cards already running keep their data and timers
+    initializeDashboardWidgets(data) {
+        const widgets = this.components.widgets;
+        const layout = this.components.layout;
+        const client = this.components.client;
+        const intervals = this.config.dashboardRefreshIntervals;
+        const options = { tag: 'page:dashboard' };
+        
+        const register = (id, regions, spec) => {
+            if (!regions.some(region => layout.has(region))) {
+                widgets.unregister(id);
+            } else if (!widgets.get(id)) {
+                widgets.register(id, { regions, data: data[id], ...spec });
+            }
+        };
+        
+        register('stats', ['stats'], {
+            interval: intervals.stats,
+            load: async (widget, request) => (await client.dashboard.stats({ ...options, ...request })).data.data,
+            render: (stats) => this.renderRegion('stats', 'dashboard-stats', stats)
+        });
+        
+        register('activity', ['activity'], {
+            interval: intervals.activity,
+            event: 'onActivity',
+            merge: (activity, item) => [item, ...(activity || []).filter(entry => entry.id !== item.id)].slice(0, 10),
+            load: async (widget, request) => (await client.activity.recent({ limit: 10 }, { ...options, ...request })).data.data,
+            render: (activity) => this.renderRegion('activity', 'dashboard-activity', activity)
+        });
+        
+        // Quick Stats reads the same health report
+        register('health', ['health', 'quick-stats'], {
+            interval: intervals.health,
+            event: 'onSystemHealth',
+            load: async (widget, request) => (await client.health.get({ ...options, ...request })).data.data,
+            render: (health) => Promise.all([
+                this.renderRegion('health', 'dashboard-health', health),
+                this.renderRegion('quick-stats', 'dashboard-quick-stats', health)
+            ])
+        });
+        
+        register('performance', ['performance'], {
+            interval: intervals.performance,
+            load: async (widget, request) => (await client.dashboard.performance({ days: this.state.performanceRange }, { ...options, ...request })).data.data,
+            render: (performance) => this.renderPerformanceChart(performance)
+        });
+        
+        // Pushed only - the notification manager does the polling
+        register('notifications', ['notifications'], {
+            event: 'onNotification',
+            merge: (notifications, notification) => [notification, ...(notifications || [])].slice(0, 5),
+            render: (notifications) => this.renderRegion('notifications', 'dashboard-notifications', notifications)
+        });
+        
+        // A re-rendered or newly added canvas needs the chart drawn again
+        const performance = widgets.get('performance');
+        if (performance && performance.data) {
+            this.renderPerformanceChart(performance.data);
+        }
+        
+        // Handler properties rather than listeners - the select survives re-renders
+        const range = document.querySelector('#content-area [data-performance-range]');
+        if (range) {
+            range.value = String(this.state.performanceRange);
+            range.onchange = () => {
+                this.state.performanceRange = parseInt(range.value) || 7;
+                widgets.refresh('performance');
+            };
+        }
+        
+        // Patching resets the cards' classes; put the loading/stale marks back
+        widgets.widgets.forEach(widget => this.handleWidgetStateChange(widget));
+        
+        widgets.start();
+    }
+
+    // Customize mode - toolbar buttons, the widget catalog and drag and drop reordering
+    initializeDashboardLayout() {
+        const page = document.querySelector('#content-area .dashboard-page');
+        const grid = page ? page.querySelector('[data-dashboard-grid]') : null;
+        if (!grid) return;
+        
+        page.onclick = (event) => {
+            const button = event.target.closest('[data-dashboard-action]');
+            if (button && !button.disabled) {
+                this.handleDashboardAction(button.dataset.dashboardAction, button.dataset.widgetId);
+            }
+        };
+        
+        let dragged = null;
+        
+        grid.ondragstart = (event) => {
+            const widget = event.target.closest('[data-widget]');
+            if (!this.state.dashboardEditing || !widget) return;
+            
+            dragged = widget;
+            widget.classList.add('dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', widget.dataset.widget);
+        };
+        
+        // Move the card live; it lands before the hovered card's first half and after its second
+        grid.ondragover = (event) => {
+            if (!dragged) return;
+            event.preventDefault();
+            
+            const target = event.target.closest('[data-widget]');
+            if (!target || target === dragged || target.parentNode !== grid) return;
+            
+            const rect = target.getBoundingClientRect();
+            const sameRow = rect.width < grid.clientWidth * 0.9;
+            const after = sameRow
+                ? event.clientX > rect.left + rect.width / 2
+                : event.clientY > rect.top + rect.height / 2;
+            
+            grid.insertBefore(dragged, after ? target.nextSibling : target);
+        };
+        
+        grid.ondrop = (event) => event.preventDefault();
+        
+        grid.ondragend = () => {
+            if (!dragged) return;
+            
+            dragged.classList.remove('dragging');
+            dragged = null;
+            
+            // The DOM already has the new order; re-rendering updates the toolbars
+            const order = [...grid.children].map(element => element.dataset.widget).filter(Boolean);
+            if (this.components.layout.setOrder(order)) {
+                this.renderDashboard().catch(error => console.warn('Failed to update dashboard:', error.message));
+            }
+        };
+    }
+
+    async handleDashboardAction(action, id) {
+        const layout = this.components.layout;
+        let changed = false;
+        
+        switch (action) {
+            case 'customize':
+            case 'done':
+                this.state.dashboardEditing = action === 'customize';
+                changed = true;
+                break;
+            case 'add':
+                changed = layout.add(id);
+                break;
+            case 'hide':
+                changed = layout.hide(id);
+                break;
+            case 'up':
+            case 'down':
+                changed = layout.move(id, action === 'up' ? -1 : 1);
+                break;
+            case 'shrink':
+            case 'grow':
+                changed = layout.resize(id, action === 'grow' ? 1 : -1);
+                break;
+            case 'reset': {
+                const confirmed = await window.neurixComponents.showConfirm({
+                    title: 'Reset dashboard',
+                    message: 'Put back the default widgets, order and sizes? Your current layout will be replaced.',
+                    buttons: [
+                        { label: 'Cancel', value: null, className: 'btn-outline-secondary' },
+                        { label: 'Reset', value: true, className: 'btn-danger' }
+                    ]
+                });
+                changed = Boolean(confirmed) && layout.reset();
+                break;
+            }
+        }
+        
+        if (!changed) return;
+        
+        try {
+            await this.renderDashboard();
+        } catch (error) {
+            this.showError('Failed to update dashboard', error.message);
+        }
+        
+        // Cards brought back may be showing data from when the page loaded
+        if (action === 'reset') {
+            this.components.widgets.refreshAll();
+        } else if (action === 'add') {
+            this.components.widgets.widgets.forEach(widget => {
+                if (widget.regions.includes(id)) this.refreshWidget(widget.id);
+            });
+        }
+    }
+
+    refreshWidget(id) {
+        return this.components.widgets.refresh(id);
+    }
+
+    // Recent Activity's Refresh button
+    refreshActivity() {
+        return this.refreshWidget('activity');
+    }
+
+    renderPerformanceChart(performance) {
+        const components = window.neurixComponents;
+        if (!components || !document.getElementById('model-performance-chart')) return;
+        
+        const datasets = (performance.series || []).map(series => ({
+            label: series.label,
+            data: series.data,
+            tension: 0.4,
+            ...(PERFORMANCE_COLORS[series.category] || {})
+        }));
+        
+        // Redraw the chart already on the canvas so the legend toggles survive
+        const chart = components.charts.get('model-performance-chart');
+        if (chart && chart.canvas.isConnected) {
+            chart.data.labels = performance.labels;
+            chart.data.datasets = datasets;
+            chart.update();
+            return;
+        }
+        
+        components.createChart('model-performance-chart', {
+            type: 'line',
+            data: { labels: performance.labels, datasets },
+            options: {
+                scales: {
+                    y: { beginAtZero: true, grid: { drawBorder: false } },
+                    x: { grid: { display: false } }
+                }
+            }
+        });
+    }
+
+    // Styles show a spinner on the card while it loads and a badge once its data is out of date
+    handleWidgetStateChange(widget) {
+        widget.regions.forEach(name => {
+            const region = document.querySelector(`#content-area [data-region="${name}"]`);
+            if (!region) return;
+            
+            region.classList.toggle('widget-loading', widget.loading);
+            region.classList.toggle('widget-stale', widget.stale);
+            
+            if (widget.updatedAt) {
+                region.dataset.updatedAt = new Date(widget.updatedAt).toISOString();
+            }
+        });
+    }
+
+    async fetchDashboardREST() {
+        const [stats, activity, health] = (await this.components.api.batch([
+            { method: 'GET', endpoint: '/dashboard/stats' },
+            { method: 'GET', endpoint: '/activity/recent' },
+            { method: 'GET', endpoint: '/health' }
+        ], {
+            mode: 'failFast',
+            tag: 'page:dashboard',
+            multiplex: this.config.useBatchEndpoint
+        })).map(result => result.data.data);
+        
+        return { stats, activity, health };
+    }
+
     async loadModels(params = {}) {
         try {
             this.setLoading(true);
             
-            const models = await this.components.api.get('/models');
+            const models = await this.components.client.models.list({ tag: 'page:models' });
             
             const content = await this.renderTemplate('models', {
                 models: models.data,
@@ -564,6 +1210,7 @@ class NeurixApp {
             this.setContent(content);
             this.initializeModelComponents();
         } catch (error) {
+            if (error.cancelled) return;
             this.showError('Failed to load models', error.message);
         } finally {
             this.setLoading(false);
@@ -574,9 +1221,10 @@ class NeurixApp {
         try {
             this.setLoading(true);
             
+            const options = { tag: 'page:models/image' };
             const [model, history, settings] = await Promise.all([
-                this.components.api.get('/models/image'),
-                this.components.api.get('/generations/images/recent'),
+                this.components.client.models.get('image', options),
+                this.components.client.generations.images.recent(null, options),
                 this.components.storage.get('image-generation-settings')
             ]);
             
@@ -588,125 +1236,506 @@ class NeurixApp {
             });
             
             this.setContent(content);
+            this.mountModelInterface(model.data, 'image-generation', 'image');
             this.initializeImageGenerationComponents();
         } catch (error) {
+            if (error.cancelled) return;
             this.showError('Failed to load image generator', error.message);
         } finally {
             this.setLoading(false);
         }
     }
 
-    // Image generation
-    async generateImage(prompt, options = {}) {
+    loadTextModel(params = {}) {
+        return this.loadModelCategory('text', 'text-generation', 'text generator');
+    }
+
+    loadVideoModel(params = {}) {
+        return this.loadModelCategory('video', 'video-generation', 'video generator');
+    }
+
+    loadAudioModel(params = {}) {
+        return this.loadModelCategory('audio', 'audio-processing', 'audio studio');
+    }
+
+    loadCodeModel(params = {}) {
+        return this.loadModelCategory('code', 'code-generation', 'code assistant');
+    }
+
+    async loadModelCategory(category, template, label) {
         try {
-            this.setLoading(true, 'Generating image...');
+            this.setLoading(true);
             
-            const response = await this.components.api.post('/image-generation/generate', {
-                prompt,
-                ...options
+            const [model, settings] = await Promise.all([
+                this.components.client.models.get(category, { tag: `page:models/${category}` }),
+                this.components.storage.get(`${template}-settings`)
+            ]);
+            
+            const content = await this.renderTemplate(template, {
+                model: model.data,
+                settings: settings || {},
+                accept: (this.config.uploadTypes[category] || []).join(',')
             });
             
-            if (response.success) {
-                // Display image
-                this.displayGeneratedImage(response.data);
-                
-                // Save to history
-                await this.saveToHistory('image', {
-                    prompt,
-                    image: response.data,
-                    options,
-                    timestamp: new Date().toISOString()
-                });
-                
-                // Update usage
-                await this.updateUsage('image');
-                
-                return response.data;
+            this.setContent(content);
+            this.mountModelInterface(model.data, template, category);
+            
+            // A property, not a listener, so a re-render of the same page doesn't stack handlers
+            const upload = document.querySelector('#content-area [data-upload]');
+            if (upload) {
+                upload.onchange = () => this.uploadSource(upload, template, category);
             }
         } catch (error) {
-            this.showError('Image generation failed', error.message);
-            throw error;
+            if (error.cancelled) return;
+            this.showError(`Failed to load ${label}`, error.message);
         } finally {
             this.setLoading(false);
         }
     }
 
-    // Video generation
-    async generateVideo(text, options = {}) {
-        try {
-            this.setLoading(true, 'Generating video...');
-            
-            const response = await this.components.api.post('/video-generation/generate', {
-                text,
-                ...options
-            });
-            
-            if (response.success) {
-                // Display video
-                this.displayGeneratedVideo(response.data);
-                
-                // Save to history
-                await this.saveToHistory('video', {
-                    text,
-                    video: response.data,
-                    options,
-                    timestamp: new Date().toISOString()
-                });
+    // Model pages render an empty #model-interface-<id> for the interface to replace.
+    // Text and code stream their output; the other categories queue a job.
+    mountModelInterface(model, template, category) {
+        const placeholder = document.getElementById(`model-interface-${model.id}`);
+        
+        // Already mounted when a same-page re-render patched around it
+        if (!placeholder || placeholder.classList.contains('model-interface') || !window.neurixComponents) return null;
+        
+        const modelInterface = window.neurixComponents.createModelInterface(model, {
+            form: template,
+            inputName: category === 'video' || category === 'audio' ? 'text' : 'prompt',
+            onGenerate: (modelId, input, parameters) => {
+                if (category === 'text' || category === 'code') {
+                    return this.streamGeneration(template, `page:models/${category}`, input, parameters, modelInterface);
+                }
                 
-                // Update usage
-                await this.updateUsage('video');
+                const generate = { image: this.generateImage, video: this.generateVideo, audio: this.processAudio }[category];
                 
-                return response.data;
+                // Failures are reported by the generator
+                return generate.call(this, input, parameters).catch(() => null);
             }
-        } catch (error) {
-            this.showError('Video generation failed', error.message);
-            throw error;
-        } finally {
-            this.setLoading(false);
-        }
+        });
+        
+        // The prompt and parameters are kept as a draft under the form's name
+        modelInterface.element.dataset.draft = template;
+        modelInterface.element.dataset.draftLabel = `${category} prompt`;
+        
+        const container = placeholder.parentNode;
+        container.replaceChild(modelInterface.element, placeholder);
+        this.registerDrafts(container);
+        
+        return modelInterface;
     }
 
-    // Audio processing
-    async processAudio(text, options = {}) {
-        try {
-            this.setLoading(true, 'Processing audio...');
-            
-            const response = await this.components.api.post('/audio-processing/text-to-speech', {
-                text,
-                ...options
+    // Tokens are written to the interface as they arrive; the returned controller backs its Stop button
+    streamGeneration(template, tag, input, parameters, modelInterface) {
+        const startedAt = Date.now();
+        let output = '';
+        
+        this.clearFormErrors(template);
+        modelInterface.updateOutput('');
+        
+        return this.components.api.streamAIResponse(`/${template}/generate`, {
+            prompt: input,
+            ...parameters
+        }, (token) => {
+            output += token;
+            modelInterface.updateOutput(output);
+        }, () => {
+            this.components.drafts.markClean(template);
+            modelInterface.updateStats({ time: ((Date.now() - startedAt) / 1000).toFixed(1) });
+        }, (error) => {
+            if (error.cancelled) return;
+            this.handleFormError(template, 'Generation failed', error);
+        }, {
+            tag,
+            on: {
+                usage: (usage) => modelInterface.updateStats({ tokens: usage.total_tokens, cost: usage.cost })
+            }
+        });
+    }
+
+    // Source media for processing - checked against uploadTypes and maxFileSize before anything is sent
+    async uploadSource(input, template, category) {
+        const file = input.files[0];
+        if (!file) return null;
+        
+        const progress = input.parentNode.querySelector('[data-upload-progress]');
+        const bar = progress && progress.querySelector('.progress-bar');
+        if (progress) progress.classList.remove('d-none');
+        
+        try {
+            const response = await this.components.api.upload(`/${template}/upload`, file, 'file', { category }, {
+                accept: this.config.uploadTypes[category],
+                maxSize: this.config.maxFileSize,
+                onProgress: ({ percent }) => {
+                    if (bar) bar.style.width = `${percent}%`;
+                }
             });
             
-            if (response.success) {
-                // Play audio
-                this.playAudio(response.data);
+            this.showToast(`${file.name} uploaded`, 'success', { plainText: true });
+            return response.data;
+        } catch (error) {
+            if (error.cancelled) return null;
+            
+            input.value = '';
+            this.showError('Upload failed', error.message);
+            return null;
+        } finally {
+            if (progress) progress.classList.add('d-none');
+            if (bar) bar.style.width = '0%';
+        }
+    }
+
+    // models/:id
+    async loadModel(params = {}, route = {}) {
+        try {
+            this.setLoading(true);
+            
+            const models = await this.components.client.models.list({ tag: `page:${route.path}` });
+            const model = models.data.find(item => item.id === params.id);
+            
+            if (!model) {
+                await this.loadNotFound({ path: route.path });
+                return;
+            }
+            
+            const content = await this.renderTemplate('model-details', { model });
+            this.setContent(content);
+        } catch (error) {
+            if (error.cancelled) return;
+            this.showError('Failed to load model', error.message);
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    async loadAutomation(params = {}) {
+        try {
+            this.setLoading(true);
+            
+            const workflows = await this.components.client.automation.workflows.list({ tag: 'page:automation' });
+            
+            const content = await this.renderTemplate('automation', {
+                workflows: workflows.data
+            });
+            
+            this.setContent(content);
+        } catch (error) {
+            if (error.cancelled) return;
+            this.showError('Failed to load automation', error.message);
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    async loadWorkflowEditor(params = {}) {
+        const content = await this.renderTemplate('workflow-editor', {});
+        this.setContent(content);
+        
+        // A property, not a listener, so a re-render of the same page doesn't stack handlers
+        const form = document.querySelector('#content-area [data-form="automation-workflow"]');
+        if (form) {
+            form.onsubmit = (e) => {
+                e.preventDefault();
+                this.submitWorkflowForm(form);
+            };
+        }
+    }
+
+    async submitWorkflowForm(form) {
+        const editor = window.neurixComponents && window.neurixComponents.editors.get('workflow-steps');
+        let steps;
+        
+        try {
+            steps = JSON.parse(editor ? editor.getValue() : '[]');
+        } catch (error) {
+            this.handleFormError('automation-workflow', 'Workflow creation failed',
+                new ValidationError('Steps must be valid JSON', { errors: { steps: 'Steps must be a valid JSON array' } }));
+            return null;
+        }
+        
+        try {
+            const workflow = await this.createAutomationWorkflow({
+                name: form.elements.name.value,
+                trigger: { type: form.elements.trigger.value },
+                steps
+            });
+            
+            if (workflow) {
+                this.components.drafts.markClean('automation-workflow-steps');
+                this.navigateTo('automation');
+            }
+            return workflow;
+        } catch (error) {
+            // Already reported on the form
+            return null;
+        }
+    }
+
+    async loadIot(params = {}) {
+        try {
+            this.setLoading(true);
+            
+            const devices = await this.components.client.iot.devices.list({ tag: 'page:iot' });
+            this.state.iotDevices = devices.data;
+            
+            const content = await this.renderTemplate('iot', {
+                devices: devices.data
+            });
+            
+            this.setContent(content);
+        } catch (error) {
+            if (error.cancelled) return;
+            this.showError('Failed to load devices', error.message);
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    async loadScripts(params = {}) {
+        const content = await this.renderTemplate('scripts', {});
+        this.setContent(content);
+    }
+
+    async loadPayments(params = {}) {
+        const content = await this.renderTemplate('payments', {
+            user: this.state.user
+        });
+        this.setContent(content);
+        
+        // A property, not a listener, so a re-render of the same page doesn't stack handlers
+        const form = document.querySelector('#content-area [data-form="payment"]');
+        if (form) {
+            form.onsubmit = (e) => {
+                e.preventDefault();
                 
-                // Save to history
-                await this.saveToHistory('audio', {
-                    text,
-                    audio: response.data,
-                    options,
-                    timestamp: new Date().toISOString()
+                // Failures are reported on the form
+                this.createPayment(parseFloat(form.elements.amount.value), form.elements.method.value, {
+                    currency: form.elements.currency.value
+                }).catch(() => null);
+            };
+        }
+    }
+
+    async loadProfile(params = {}) {
+        const content = await this.renderTemplate('profile', {
+            user: this.state.user,
+            usage: this.state.usageStats
+        });
+        this.setContent(content);
+    }
+
+    async loadSettings(params = {}) {
+        const settings = await this.components.storage.get('settings');
+        
+        const content = await this.renderTemplate('settings', {
+            settings: settings || {},
+            theme: this.state.theme
+        });
+        this.setContent(content);
+    }
+
+    async loadAdmin(params = {}, route = {}) {
+        try {
+            this.setLoading(true);
+            
+            const status = route.query.status || 'pending';
+            const users = await this.components.client.admin.users.list({
+                status,
+                page: parseInt(route.query.page) || 1
+            }, { tag: 'page:admin' });
+            
+            const content = await this.renderTemplate('admin', {
+                users: users.data,
+                status
+            });
+            
+            this.setContent(content);
+        } catch (error) {
+            if (error.cancelled) return;
+            this.showError('Failed to load admin', error.message);
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    async loadNotifications(params = {}) {
+        const content = await this.renderTemplate('notifications', {
+            notifications: this.state.notifications,
+            unread: this.state.unreadNotifications
+        });
+        this.setContent(content);
+    }
+
+    async loadNotFound(params = {}) {
+        const content = await this.renderTemplate('not-found', {
+            path: `/${params.path || ''}`
+        });
+        this.setContent(content);
+    }
+
+    // DiagnosticsPanel comes from the route's page module (/scripts/diagnostics.js)
+    async loadDiagnostics(params = {}) {
+        try {
+            this.setLoading(true);
+            
+            if (!this.components.diagnostics) {
+                this.components.diagnostics = new DiagnosticsPanel({
+                    api: this.components.api,
+                    refreshInterval: this.config.diagnosticsRefreshInterval
                 });
-                
-                // Update usage
-                await this.updateUsage('audio');
-                
-                return response.data;
             }
+            
+            const content = await this.renderTemplate('diagnostics', {});
+            
+            this.setContent(content);
+            this.components.diagnostics.start();
         } catch (error) {
-            this.showError('Audio processing failed', error.message);
-            throw error;
+            this.showError('Failed to load diagnostics', error.message);
         } finally {
             this.setLoading(false);
         }
     }
 
+    // Image generation
+    async generateImage(prompt, options = {}) {
+        let job = null;
+        
+        try {
+            this.clearFormErrors('image-generation');
+            
+            // Queued server-side; progress shows in the jobs tray so the user can keep navigating
+            job = await this.components.jobs.submit('image', prompt, () => this.components.client.imageGeneration.generate({
+                prompt,
+                ...options
+            }));
+            
+            // Submitted - the prompt is no longer an unsaved draft
+            this.components.drafts.markClean('image-generation');
+            
+            const result = await this.components.jobs.wait(job.id);
+            
+            // Display image
+            this.displayGeneratedImage(result);
+            
+            // Save to history
+            await this.saveToHistory('image', {
+                prompt,
+                image: result,
+                options,
+                timestamp: new Date().toISOString()
+            });
+            
+            // Update usage
+            await this.updateUsage('image');
+            
+            return result;
+        } catch (error) {
+            if (error.cancelled) return null;
+            
+            // A job that fails once queued is already reported by handleJobUpdate
+            if (!job || error.data?.id !== job.id) {
+                this.handleFormError('image-generation', 'Image generation failed', error);
+            }
+            throw error;
+        }
+    }
+
+    // Video generation
+    async generateVideo(text, options = {}) {
+        let job = null;
+        
+        try {
+            this.clearFormErrors('video-generation');
+            
+            // Queued server-side; progress shows in the jobs tray so the user can keep navigating
+            job = await this.components.jobs.submit('video', text, () => this.components.client.videoGeneration.generate({
+                text,
+                ...options
+            }));
+            
+            // Submitted - the prompt is no longer an unsaved draft
+            this.components.drafts.markClean('video-generation');
+            
+            const result = await this.components.jobs.wait(job.id);
+            
+            // Display video
+            this.displayGeneratedVideo(result);
+            
+            // Save to history
+            await this.saveToHistory('video', {
+                text,
+                video: result,
+                options,
+                timestamp: new Date().toISOString()
+            });
+            
+            // Update usage
+            await this.updateUsage('video');
+            
+            return result;
+        } catch (error) {
+            if (error.cancelled) return null;
+            
+            // A job that fails once queued is already reported by handleJobUpdate
+            if (!job || error.data?.id !== job.id) {
+                this.handleFormError('video-generation', 'Video generation failed', error);
+            }
+            throw error;
+        }
+    }
+
+    // Audio processing
+    async processAudio(text, options = {}) {
+        let job = null;
+        
+        try {
+            this.clearFormErrors('audio-processing');
+            
+            // Queued server-side; progress shows in the jobs tray so the user can keep navigating
+            job = await this.components.jobs.submit('audio', text, () => this.components.client.audioProcessing.textToSpeech({
+                text,
+                ...options
+            }));
+            
+            // Submitted - the prompt is no longer an unsaved draft
+            this.components.drafts.markClean('audio-processing');
+            
+            const result = await this.components.jobs.wait(job.id);
+            
+            // Play audio
+            this.playAudio(result);
+            
+            // Save to history
+            await this.saveToHistory('audio', {
+                text,
+                audio: result,
+                options,
+                timestamp: new Date().toISOString()
+            });
+            
+            // Update usage
+            await this.updateUsage('audio');
+            
+            return result;
+        } catch (error) {
+            if (error.cancelled) return null;
+            
+            // A job that fails once queued is already reported by handleJobUpdate
+            if (!job || error.data?.id !== job.id) {
+                this.handleFormError('audio-processing', 'Audio processing failed', error);
+            }
+            throw error;
+        }
+    }
+
     // IoT control
     async controlIotDevice(deviceId, action, params = {}) {
         try {
             this.setLoading(true, 'Sending command...');
             
-            const response = await this.components.api.post(`/iot/devices/${deviceId}/control`, {
+            const response = await this.components.client.iot.devices.control(deviceId, {
                 action,
                 ...params
             });
@@ -731,15 +1760,17 @@ class NeurixApp {
     async createAutomationWorkflow(workflow) {
         try {
             this.setLoading(true, 'Creating workflow...');
+            this.clearFormErrors('automation-workflow');
             
-            const response = await this.components.api.post('/automation/workflows', workflow);
+            const response = await this.components.client.automation.workflows.create(workflow);
             
             if (response.success) {
+                this.components.drafts.markClean('automation-workflow');
                 this.showToast('Workflow created successfully', 'success');
                 return response.data;
             }
         } catch (error) {
-            this.showError('Workflow creation failed', error.message);
+            this.handleFormError('automation-workflow', 'Workflow creation failed', error);
             throw error;
         } finally {
             this.setLoading(false);
@@ -750,8 +1781,9 @@ class NeurixApp {
     async createPayment(amount, method, options = {}) {
         try {
             this.setLoading(true, 'Processing payment...');
+            this.clearFormErrors('payment');
             
-            const response = await this.components.api.post('/payments/create', {
+            const response = await this.components.client.payments.create({
                 amount,
                 method,
                 ...options
@@ -767,7 +1799,7 @@ class NeurixApp {
                 return response.data;
             }
         } catch (error) {
-            this.showError('Payment failed', error.message);
+            this.handleFormError('payment', 'Payment failed', error);
             throw error;
         } finally {
             this.setLoading(false);
@@ -779,7 +1811,7 @@ class NeurixApp {
         try {
             this.setLoading(true, 'Approving premium access...');
             
-            const response = await this.components.api.post(`/admin/users/${userId}/approve-premium`, {
+            const response = await this.components.client.admin.users.approvePremium(userId, {
                 notes
             });
             
@@ -795,6 +1827,44 @@ class NeurixApp {
         }
     }
 
+    // Form errors - 422 responses are shown inline on the form's fields
+    // (forms are found by data-form="<name>"); anything else goes to the error modal.
+    handleFormError(formName, title, error) {
+        const form = document.querySelector(`[data-form="${formName}"]`);
+        const components = window.neurixComponents;
+        
+        if (error instanceof ValidationError && form && components) {
+            const unmatched = components.showFieldErrors(form, error.errors);
+            
+            // Errors for fields the form doesn't show still need to be seen
+            if (unmatched.length === 0) return;
+            
+            this.showError(title, unmatched.map(field => error.errors[field].join(' ')).join('\n'));
+            return;
+        }
+        
+        this.showError(title, error.message);
+    }
+
+    clearFormErrors(formName) {
+        const form = document.querySelector(`[data-form="${formName}"]`);
+        
+        if (form && window.neurixComponents) {
+            window.neurixComponents.clearFieldErrors(form);
+        }
+    }
+
+    // Network inspector - created on first use
+    toggleNetworkInspector() {
+        if (!window.neurixComponents) return;
+        
+        if (!this.networkInspector) {
+            this.networkInspector = window.neurixComponents.createNetworkInspector(this.components.api);
+        }
+        
+        this.networkInspector.toggle();
+    }
+
     // Utility methods
     showLoading(show = true, message = 'Loading...') {
         this.state.isLoading = show;
@@ -814,6 +1884,7 @@ class NeurixApp {
         }
     }
 
+    // options.plainText - the message carries server or user text, so it is set as text, not markup
     showToast(message, type = 'info', options = {}) {
         const toast = document.createElement('div');
         toast.className = `toast align-items-center text-bg-${type} border-0`;
@@ -825,12 +1896,16 @@ class NeurixApp {
         toast.innerHTML = `
             <div class="d-flex">
                 <div class="toast-body">
-                    ${message}
+                    ${options.plainText ? '' : message}
                 </div>
                 <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
             </div>
         `;
         
+        if (options.plainText) {
+            toast.querySelector('.toast-body').textContent = message;
+        }
+        
         const container = document.querySelector('.toast-container');
         container.appendChild(toast);
         
@@ -845,11 +1920,16 @@ class NeurixApp {
             toast.remove();
         });
         
+        // The action runs once and closes the toast
         if (options.action) {
             const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
             actionBtn.className = 'btn btn-sm btn-light ms-2';
             actionBtn.textContent = options.action;
-            actionBtn.onclick = options.onClick || (() => bsToast.hide());
+            actionBtn.onclick = () => {
+                bsToast.hide();
+                if (options.onClick) options.onClick();
+            };
             
             toast.querySelector('.toast-body').appendChild(actionBtn);
         }
@@ -866,48 +1946,210 @@ class NeurixApp {
         modal.show();
     }
 
+    // A new page replaces the content; re-rendering the page on screen (refreshes, template
+    // reloads) patches it so focus, scroll, typed input and live charts survive
     setContent(content) {
         const contentArea = document.getElementById('content-area');
         if (contentArea) {
-            contentArea.innerHTML = content;
+            const page = this.state.currentPage;
+            const samePage = contentArea.dataset.page === page;
+            
+            if (samePage) {
+                this.patchAnimated(contentArea, content);
+            } else {
+                contentArea.innerHTML = content;
+                contentArea.dataset.page = page;
+            }
             
             // Initialize components in new content
             this.initializeComponentsInContent(contentArea);
             
+            // One observer on the content area also covers regions patched inside it later
+            if (window.neurixComponents) {
+                window.neurixComponents.observe(contentArea);
+            }
+            
+            // Track forms and editors that keep drafts
+            this.registerDrafts(contentArea);
+            
             // Scroll to top
-            window.scrollTo(0, 0);
+            if (!samePage) {
+                window.scrollTo(0, 0);
+            }
         }
     }
 
-    async renderTemplate(template, data) {
-        // Check cache first
-        const cacheKey = `${template}-${JSON.stringify(data)}`;
-        if (this.cache.pages[cacheKey]) {
-            return this.cache.pages[cacheKey];
+    // Numbers marked data-animate-number="<value>" count from their old value to the new one
+    patchAnimated(container, content) {
+        const previous = new Map();
+        container.querySelectorAll('[data-animate-number]').forEach(element => {
+            previous.set(element, parseFloat(element.dataset.animateNumber));
+        });
+        
+        this.components.patcher.patch(container, content);
+        
+        const components = window.neurixComponents;
+        if (!components || !this.config.enableAnimations) return;
+        
+        const formatNumber = this.components.templates.helpers.formatNumber;
+        container.querySelectorAll('[data-animate-number]').forEach(element => {
+            const from = previous.get(element);
+            const to = parseFloat(element.dataset.animateNumber);
+            if (isNaN(from) || isNaN(to) || from === to) return;
+            
+            components.animateNumber(element, from, to, {
+                format: (value) => formatNumber(Math.round(value))
+            });
+        });
+    }
+
+    // Components already mounted are skipped; those whose DOM was removed are disposed by the observer
+    initializeComponentsInContent(container) {
+        if (window.neurixComponents) {
+            window.neurixComponents.initializeInContainer(container);
         }
+    }
+
+    // Patch one data-region of the current page, e.g. a dashboard card, leaving the rest alone
+    updateRegion(name, content) {
+        const region = document.querySelector(`#content-area [data-region="${name}"]`);
+        if (!region) return false;
+        
+        this.patchAnimated(region, content);
+        this.initializeComponentsInContent(region);
+        this.registerDrafts(region);
         
+        return true;
+    }
+
+    async renderPartial(partial, data) {
+        const source = `{{> ${partial}}}`;
+        await this.loadPartials(source);
+        
+        return this.components.templates.render(source, data);
+    }
+
+    // Re-render a region from the partial the page template uses for it
+    async renderRegion(name, partial, data) {
         try {
-            // Load template
-            const response = await fetch(`/pages/${template}.html`);
-            let html = await response.text();
-            
-            // Render template with data
-            html = this.renderTemplateString(html, data);
+            return this.updateRegion(name, await this.renderPartial(partial, data));
+        } catch (error) {
+            console.warn(`Failed to update ${name}:`, error.message);
+            return false;
+        }
+    }
+
+    // Sources are fetched once and compiled once; every render runs fresh against the data
+    async renderTemplate(template, data) {
+        const templates = this.components.templates;
+        
+        try {
+            const bundled = templates.getTemplate(template);
+            if (bundled) {
+                return bundled(data);
+            }
             
-            // Cache result
-            this.cache.pages[cacheKey] = html;
+            const source = await this.loadTemplateSource(template);
+            await this.loadPartials(source);
             
-            return html;
+            return templates.compile(source, `${template}.html`)(data);
         } catch (error) {
             console.error(`Failed to load template ${template}:`, error);
-            return `<div class="alert alert-danger">Failed to load page: ${error.message}</div>`;
+            return `<div class="alert alert-danger">Failed to load page: ${templates.escape(error.message)}</div>`;
+        }
+    }
+
+    // this.cache.pages maps template name -> source, least recently used first
+    async loadTemplateSource(template) {
+        const pages = this.cache.pages;
+        let source = pages[template];
+        
+        if (source === undefined) {
+            const response = await fetch(`/pages/${template}.html`);
+            if (!response.ok) {
+                throw new Error(`${template}.html returned ${response.status}`);
+            }
+            
+            source = await response.text();
+        }
+        
+        delete pages[template];
+        pages[template] = source;
+        
+        const names = Object.keys(pages);
+        if (names.length > this.config.templateCacheSize) {
+            this.components.templates.forget(pages[names[0]]);
+            delete pages[names[0]];
+        }
+        
+        return source;
+    }
+
+    // {{> name}} resolves to /pages/partials/name.html, loaded on first use
+    async loadPartials(source) {
+        const templates = this.components.templates;
+        const missing = templates.findPartials(source).filter(name => !templates.hasPartial(name));
+        
+        await Promise.all(missing.map(async name => {
+            const partialSource = await this.loadTemplateSource(`partials/${name}`);
+            await this.loadPartials(partialSource);
+            templates.registerPartial(name, partialSource);
+        }));
+    }
+
+    // Dev mode: refetch cached sources and re-render the current page if any changed
+    async reloadChangedTemplates() {
+        if (this.reloadingTemplates) return;
+        this.reloadingTemplates = true;
+        
+        const templates = this.components.templates;
+        let changed = false;
+        
+        try {
+            await Promise.all(Object.keys(this.cache.pages).map(async name => {
+                const response = await fetch(`/pages/${name}.html`, { cache: 'no-store' });
+                if (!response.ok) return;
+                
+                const source = await response.text();
+                const previous = this.cache.pages[name];
+                if (source === previous) return;
+                
+                templates.forget(previous);
+                this.cache.pages[name] = source;
+                if (name.startsWith('partials/')) {
+                    templates.registerPartial(name.slice('partials/'.length), source);
+                }
+                
+                console.info(`Template ${name}.html changed`);
+                changed = true;
+            }));
+            
+            if (changed && this.components.router) {
+                await this.components.router.reload();
+            }
+        } catch (error) {
+            console.warn('Template reload failed:', error.message);
+        } finally {
+            this.reloadingTemplates = false;
         }
     }
 
     renderTemplateString(template, data) {
-        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
-            return data[key] !== undefined ? data[key] : match;
+        return this.components.templates.render(template, data);
+    }
+
+    // Clear cached pages, media and API responses (e.g. on logout)
+    clearCache() {
+        // Clear in place - managers hold references to these objects
+        Object.values(this.cache).forEach(bucket => {
+            Object.keys(bucket).forEach(key => delete bucket[key]);
         });
+        
+        if (this.components.api) {
+            this.components.api.clearCache().catch(error => {
+                console.warn('Failed to clear response cache:', error);
+            });
+        }
     }
 
     // Event handling
@@ -944,10 +2186,11 @@ class NeurixApp {
         if (this.state.autoSaveTimer) clearInterval(this.state.autoSaveTimer);
         if (this.state.sessionTimer) clearInterval(this.state.sessionTimer);
         if (this.state.idleTimer) clearTimeout(this.state.idleTimer);
+        if (this.templateReloadTimer) clearInterval(this.templateReloadTimer);
         
-        // Disconnect WebSocket
+        // Close WebSocket
         if (this.components.socket) {
-            this.components.socket.disconnect();
+            this.components.socket.destroy();
         }
         
         // Stop background tasks
@@ -959,6 +2202,14 @@ class NeurixApp {
             this.components.analytics.stop();
         }
         
+        if (this.components.jobs) {
+            this.components.jobs.destroy();
+        }
+        
+        if (this.components.widgets) {
+            this.components.widgets.clear();
+        }
+        
         // Remove event listeners
         window.removeEventListener('beforeunload', this.handleBeforeUnload);
         
@@ -966,6 +2217,138 @@ class NeurixApp {
     }
 }
 
+// Exactly the fields pages/dashboard.html and its partials render
+const DASHBOARD_QUERY = `
+    query Dashboard($activityLimit: Int!) {
+        stats: dashboardStats {
+            total_requests
+            total_images
+            total_videos
+            total_audio
+        }
+        activity: recentActivity(limit: $activityLimit) {
+            __typename
+            id
+            icon
+            title
+            description
+            time
+        }
+        health {
+            status
+            status_class
+            uptime
+            response_time
+            active_users
+            services {
+                __typename
+                id
+                name
+                icon
+                status
+                status_class
+            }
+            system {
+                cpu
+                cpu_value
+                memory
+                memory_value
+                disk
+                disk_value
+            }
+        }
+    }
+`;
+
+// Every card the dashboard can show. size/sizes are widths in grid columns; source is
+// the dashboard data the card's partial renders; default: false keeps it in the catalog only
+const DASHBOARD_WIDGETS = [
+    {
+        id: 'stats',
+        title: 'Usage Overview',
+        description: 'Requests, images, videos and audio',
+        icon: 'chart-bar',
+        partial: 'dashboard-stats',
+        source: 'stats',
+        regionClass: 'row',
+        size: 12,
+        sizes: [6, 12]
+    },
+    {
+        id: 'quick-actions',
+        title: 'Quick Actions',
+        description: 'Shortcuts to the generators',
+        icon: 'bolt',
+        partial: 'dashboard-quick-actions',
+        regionClass: 'card neurix-card',
+        size: 8,
+        sizes: [6, 8, 12]
+    },
+    {
+        id: 'health',
+        title: 'System Health',
+        description: 'Service status and resource usage',
+        icon: 'heartbeat',
+        partial: 'dashboard-health',
+        source: 'health',
+        regionClass: 'card neurix-card',
+        size: 4,
+        sizes: [4, 6, 8, 12]
+    },
+    {
+        id: 'activity',
+        title: 'Recent Activity',
+        description: 'Your latest generations and changes',
+        icon: 'history',
+        partial: 'dashboard-activity',
+        source: 'activity',
+        regionClass: 'card neurix-card',
+        size: 8,
+        sizes: [4, 6, 8, 12]
+    },
+    {
+        id: 'quick-stats',
+        title: 'Quick Stats',
+        description: 'Response time, uptime and active users',
+        icon: 'tachometer-alt',
+        partial: 'dashboard-quick-stats',
+        source: 'health',
+        regionClass: 'card neurix-card',
+        size: 4,
+        sizes: [4, 6, 8, 12]
+    },
+    {
+        id: 'performance',
+        title: 'Model Performance',
+        description: 'Daily requests per model category',
+        icon: 'chart-line',
+        partial: 'dashboard-performance',
+        regionClass: 'card neurix-card',
+        size: 8,
+        sizes: [6, 8, 12]
+    },
+    {
+        id: 'notifications',
+        title: 'Notifications',
+        description: 'Your latest notifications',
+        icon: 'bell',
+        partial: 'dashboard-notifications',
+        source: 'notifications',
+        regionClass: 'card neurix-card',
+        size: 4,
+        sizes: [4, 6, 8, 12]
+    }
+];
+
+// Model Performance line colors by model category
+const PERFORMANCE_COLORS = {
+    image: { borderColor: 'rgb(99, 102, 241)', backgroundColor: 'rgba(99, 102, 241, 0.1)' },
+    text: { borderColor: 'rgb(16, 185, 129)', backgroundColor: 'rgba(16, 185, 129, 0.1)' },
+    audio: { borderColor: 'rgb(245, 158, 11)', backgroundColor: 'rgba(245, 158, 11, 0.1)' },
+    video: { borderColor: 'rgb(6, 182, 212)', backgroundColor: 'rgba(6, 182, 212, 0.1)' },
+    code: { borderColor: 'rgb(139, 92, 246)', backgroundColor: 'rgba(139, 92, 246, 0.1)' }
+};
+
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.neurixApp = new NeurixApp();
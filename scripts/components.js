@@ -11,6 +11,11 @@ class NeurixComponents {
         this.tooltips = new Map();
         this.charts = new Map();
         this.editors = new Map();
+        
+        // Element -> component type -> disposer, for everything mounted on it
+        this.mounted = new Map();
+        this.observers = new Map();
+        this.animations = new Map();
     }
     
     // Initialize all components
@@ -61,9 +66,73 @@ class NeurixComponents {
         });
         
         this.tooltips.set(id, tooltip);
+        this.track(element, 'tooltip', () => {
+            tooltip.dispose();
+            this.tooltips.delete(id);
+        });
         return tooltip;
     }
     
+    // Component lifecycle - whatever is mounted on an element is disposed when it leaves the DOM
+    track(element, type, dispose) {
+        if (!this.mounted.has(element)) {
+            this.mounted.set(element, new Map());
+        }
+        this.mounted.get(element).set(type, dispose);
+    }
+    
+    isMounted(element, type) {
+        return this.mounted.has(element) && this.mounted.get(element).has(type);
+    }
+    
+    disposeElement(element) {
+        const disposers = this.mounted.get(element);
+        if (!disposers) return;
+        
+        this.mounted.delete(element);
+        disposers.forEach(dispose => {
+            try {
+                dispose();
+            } catch (error) {
+                console.warn('Failed to dispose component:', error);
+            }
+        });
+    }
+    
+    // Everything mounted on or inside the container
+    disposeInContainer(container) {
+        [...this.mounted.keys()]
+            .filter(element => element === container || container.contains(element))
+            .forEach(element => this.disposeElement(element));
+    }
+    
+    disposeDetached() {
+        [...this.mounted.keys()]
+            .filter(element => !element.isConnected)
+            .forEach(element => this.disposeElement(element));
+    }
+    
+    // Nodes the patcher moves are reconnected by the time the observer runs, so only real removals dispose
+    observe(container) {
+        if (this.observers.has(container)) return;
+        
+        const observer = new MutationObserver(mutations => {
+            if (mutations.some(mutation => mutation.removedNodes.length > 0)) {
+                this.disposeDetached();
+            }
+        });
+        observer.observe(container, { childList: true, subtree: true });
+        this.observers.set(container, observer);
+    }
+    
+    unobserve(container) {
+        const observer = this.observers.get(container);
+        if (observer) {
+            observer.disconnect();
+            this.observers.delete(container);
+        }
+    }
+    
     // Modal component
     createModal(options = {}) {
         const modalId = options.id || `modal-${Date.now()}`;
@@ -114,7 +183,44 @@ class NeurixComponents {
         };
     }
     
+    // Confirm dialog - resolves with the chosen button's value, or null when dismissed
+    showConfirm(options = {}) {
+        const buttons = options.buttons || [
+            { label: 'Cancel', value: null, className: 'btn-outline-secondary' },
+            { label: 'OK', value: true, className: 'btn-primary' }
+        ];
+        
+        const modal = this.createModal({
+            title: options.title || 'Are you sure?',
+            footer: buttons.map((button, index) => `
+                <button type="button" class="btn ${button.className || 'btn-secondary'}" data-choice="${index}">${button.label}</button>
+            `).join('')
+        });
+        
+        // The message may quote user content
+        modal.element.querySelector('.modal-body').textContent = options.message || '';
+        
+        return new Promise(resolve => {
+            let choice = null;
+            
+            modal.element.querySelectorAll('[data-choice]').forEach(buttonEl => {
+                buttonEl.addEventListener('click', () => {
+                    choice = buttons[buttonEl.dataset.choice].value;
+                    modal.hide();
+                });
+            });
+            
+            modal.element.addEventListener('hidden.bs.modal', () => {
+                modal.dispose();
+                resolve(choice);
+            }, { once: true });
+            
+            modal.show();
+        });
+    }
+    
     // Toast component
+    // options.plainText - the message carries server or user text, so it is set as text, not markup
     showToast(options = {}) {
         const toastId = `toast-${Date.now()}`;
         const type = options.type || 'info';
@@ -124,7 +230,7 @@ class NeurixComponents {
             <div class="toast align-items-center text-bg-${type} border-0" id="${toastId}" role="alert" aria-live="assertive" aria-atomic="true">
                 <div class="d-flex">
                     <div class="toast-body">
-                        ${options.message || ''}
+                        ${options.plainText ? '' : options.message || ''}
                     </div>
                     <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button>
                 </div>
@@ -135,6 +241,9 @@ class NeurixComponents {
         const container = document.querySelector('.toast-container') || document.body;
         const toastEl = document.createElement('div');
         toastEl.innerHTML = toastHTML;
+        if (options.plainText) {
+            toastEl.querySelector('.toast-body').textContent = options.message || '';
+        }
         container.appendChild(toastEl.firstElementChild);
         
         // Initialize toast
@@ -152,6 +261,20 @@ class NeurixComponents {
             this.toasts.delete(toastId);
         });
         
+        // options.action labels a button that runs options.onClick and closes the toast
+        if (options.action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'btn btn-sm btn-light ms-2';
+            actionBtn.textContent = options.action;
+            actionBtn.addEventListener('click', () => {
+                toast.hide();
+                if (options.onClick) options.onClick();
+            });
+            
+            toastElement.querySelector('.toast-body').appendChild(actionBtn);
+        }
+        
         this.toasts.set(toastId, toast);
         
         return {
@@ -170,6 +293,11 @@ class NeurixComponents {
             return null;
         }
         
+        // Chart.js refuses a canvas that already has a chart
+        if (this.charts.has(canvasId)) {
+            this.disposeElement(this.charts.get(canvasId).canvas);
+        }
+        
         const ctx = canvas.getContext('2d');
         const chart = new Chart(ctx, {
             type: config.type || 'line',
@@ -196,9 +324,43 @@ class NeurixComponents {
         });
         
         this.charts.set(canvasId, chart);
+        this.track(canvas, 'chart', () => {
+            chart.destroy();
+            this.charts.delete(canvasId);
+        });
         return chart;
     }
     
+    // Count an element's text from one number to another, ending on exactly format(to)
+    animateNumber(element, from, to, options = {}) {
+        const format = options.format || (value => Math.round(value).toLocaleString());
+        const duration = options.duration || 600;
+        
+        cancelAnimationFrame(this.animations.get(element));
+        this.animations.delete(element);
+        
+        if (from === to || window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            element.textContent = format(to);
+            return;
+        }
+        
+        const start = performance.now();
+        const step = (now) => {
+            const progress = Math.min(1, (now - start) / duration);
+            const eased = 1 - Math.pow(1 - progress, 3);
+            
+            element.textContent = format(progress < 1 ? from + (to - from) * eased : to);
+            
+            if (progress < 1) {
+                this.animations.set(element, requestAnimationFrame(step));
+            } else {
+                this.animations.delete(element);
+            }
+        };
+        
+        this.animations.set(element, requestAnimationFrame(step));
+    }
+    
     // Code editor component
     createCodeEditor(elementId, options = {}) {
         const element = document.getElementById(elementId);
@@ -211,6 +373,10 @@ class NeurixComponents {
         const wrapper = document.createElement('div');
         wrapper.className = 'code-editor';
         
+        // Re-renders patch around the editor instead of replacing it with the placeholder again
+        wrapper.dataset.key = elementId;
+        wrapper.dataset.preserve = '';
+        
         // Create toolbar
         const toolbar = document.createElement('div');
         toolbar.className = 'code-toolbar';
@@ -254,6 +420,17 @@ class NeurixComponents {
         codeArea.spellcheck = false;
         codeArea.value = options.value || '';
         
+        // Validation errors for the placeholder's field are shown on the editor
+        if (element.dataset.field) {
+            codeArea.dataset.field = element.dataset.field;
+        }
+        
+        // Keep the draft id so the app's dirty-state registry can track the editor
+        if (element.dataset.draft) {
+            codeArea.dataset.draft = element.dataset.draft;
+            codeArea.dataset.draftLabel = element.dataset.draftLabel || 'code';
+        }
+        
         // Replace element with editor
         element.parentNode.replaceChild(wrapper, element);
         wrapper.appendChild(toolbar);
@@ -281,6 +458,7 @@ class NeurixComponents {
         };
         
         this.editors.set(elementId, editor);
+        this.track(wrapper, 'editor', () => this.editors.delete(elementId));
         return editor;
     }
     
@@ -473,11 +651,13 @@ class NeurixComponents {
     }
     
     // AI Model Interface component
+    // options.form      - data-form name, so 422 field errors land on the input and parameters
+    // options.inputName - field name the input is submitted (and reported) under, default 'prompt'
     createModelInterface(model, options = {}) {
         const interfaceId = `model-interface-${model.id}`;
         
         const interfaceHTML = `
-            <div class="model-interface" id="${interfaceId}">
+            <form class="model-interface" id="${interfaceId}" data-preserve${options.form ? ` data-form="${options.form}"` : ''} novalidate>
                 <div class="model-header">
                     <div class="model-info">
                         <h5>${model.name}</h5>
@@ -496,13 +676,14 @@ class NeurixComponents {
                             <div class="model-input-container">
                                 <label class="form-label">Input</label>
                                 <textarea class="form-control model-input" 
+                                          name="${options.inputName || 'prompt'}"
                                           placeholder="Enter your input here..."
                                           rows="10"></textarea>
                                 <div class="input-actions mt-2">
-                                    <button class="btn btn-sm btn-outline-secondary clear-input">
+                                    <button type="button" class="btn btn-sm btn-outline-secondary clear-input">
                                         <i class="fas fa-trash"></i> Clear
                                     </button>
-                                    <button class="btn btn-sm btn-outline-secondary load-example">
+                                    <button type="button" class="btn btn-sm btn-outline-secondary load-example">
                                         <i class="fas fa-download"></i> Example
                                     </button>
                                 </div>
@@ -515,10 +696,10 @@ class NeurixComponents {
                                     <!-- Output will appear here -->
                                 </div>
                                 <div class="output-actions mt-2">
-                                    <button class="btn btn-sm btn-outline-secondary copy-output">
+                                    <button type="button" class="btn btn-sm btn-outline-secondary copy-output">
                                         <i class="fas fa-copy"></i> Copy
                                     </button>
-                                    <button class="btn btn-sm btn-outline-secondary download-output">
+                                    <button type="button" class="btn btn-sm btn-outline-secondary download-output">
                                         <i class="fas fa-download"></i> Download
                                     </button>
                                 </div>
@@ -535,15 +716,18 @@ class NeurixComponents {
                             </div>
                             <div class="col-md-4">
                                 <div class="model-actions">
-                                    <button class="btn btn-primary w-100 generate-btn">
+                                    <button type="submit" class="btn btn-primary w-100 generate-btn">
                                         <i class="fas fa-play"></i> Generate
                                     </button>
+                                    <button type="button" class="btn btn-outline-danger w-100 mt-2 stop-btn d-none">
+                                        <i class="fas fa-stop-circle"></i> Stop
+                                    </button>
                                     ${model.loaded ? `
-                                    <button class="btn btn-outline-secondary w-100 mt-2 unload-btn">
+                                    <button type="button" class="btn btn-outline-secondary w-100 mt-2 unload-btn">
                                         <i class="fas fa-stop"></i> Unload Model
                                     </button>
                                     ` : `
-                                    <button class="btn btn-outline-success w-100 mt-2 load-btn">
+                                    <button type="button" class="btn btn-outline-success w-100 mt-2 load-btn">
                                         <i class="fas fa-download"></i> Load Model
                                     </button>
                                     `}
@@ -569,7 +753,7 @@ class NeurixComponents {
                         </div>
                     </div>
                 </div>
-            </div>
+            </form>
         `;
         
         const element = document.createElement('div');
@@ -578,17 +762,39 @@ class NeurixComponents {
         // Add event listeners
         const interfaceElement = element.firstElementChild;
         const generateBtn = interfaceElement.querySelector('.generate-btn');
+        const stopBtn = interfaceElement.querySelector('.stop-btn');
         const loadBtn = interfaceElement.querySelector('.load-btn');
         const unloadBtn = interfaceElement.querySelector('.unload-btn');
         const clearInputBtn = interfaceElement.querySelector('.clear-input');
         const copyOutputBtn = interfaceElement.querySelector('.copy-output');
         const loadExampleBtn = interfaceElement.querySelector('.load-example');
         
-        if (generateBtn) {
-            generateBtn.addEventListener('click', () => {
-                const input = interfaceElement.querySelector('.model-input').value;
-                if (options.onGenerate) {
-                    options.onGenerate(model.id, input, this.getParameterValues(interfaceElement));
+        // Controller of the generation in progress ({ abort(), done } from NeurixAPI streams)
+        let activeStream = null;
+        
+        // Generate submits the form, so Enter in a parameter field generates too
+        interfaceElement.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (generateBtn.disabled) return;
+            
+            const input = interfaceElement.querySelector('.model-input').value;
+            if (options.onGenerate) {
+                const result = await options.onGenerate(model.id, input, this.getParameterValues(interfaceElement));
+                
+                // Streaming handlers can return their controller to enable Stop
+                if (result && typeof result.abort === 'function') {
+                    interfaceObj.attachStream(result);
+                }
+            }
+        });
+        
+        if (stopBtn) {
+            stopBtn.addEventListener('click', () => {
+                if (activeStream) {
+                    activeStream.abort();
+                }
+                if (options.onStop) {
+                    options.onStop(model.id);
                 }
             });
         }
@@ -657,15 +863,421 @@ class NeurixComponents {
                         '<i class="fas fa-spinner fa-spin"></i> Generating...' : 
                         '<i class="fas fa-play"></i> Generate';
                 }
+                if (stopBtn) {
+                    stopBtn.classList.toggle('d-none', !loading);
+                }
+            },
+            attachStream: (stream) => {
+                activeStream = stream;
+                interfaceObj.setLoading(true);
+                
+                Promise.resolve(stream.done).finally(() => {
+                    if (activeStream === stream) {
+                        activeStream = null;
+                        interfaceObj.setLoading(false);
+                    }
+                });
+            },
+            stop: () => {
+                if (activeStream) {
+                    activeStream.abort();
+                }
             },
             dispose: () => {
+                if (activeStream) {
+                    activeStream.abort();
+                }
                 interfaceElement.remove();
             }
         };
         
+        // Leaving the page stops a generation still streaming into it
+        this.track(interfaceElement, 'model', () => interfaceObj.stop());
+        
         return interfaceObj;
     }
     
+    // Form validation - show field-level errors from a ValidationError ({ field: [messages] })
+    // Fields are matched by name, id or data-field. Returns the fields that had no input.
+    showFieldErrors(form, errors = {}) {
+        const unmatched = [];
+        
+        this.clearFieldErrors(form);
+        
+        Object.keys(errors).forEach(field => {
+            const input = form.querySelector(`[name="${CSS.escape(field)}"], #${CSS.escape(field)}, [data-field="${CSS.escape(field)}"]`);
+            
+            if (!input) {
+                unmatched.push(field);
+                return;
+            }
+            
+            const feedback = document.createElement('div');
+            feedback.className = 'invalid-feedback';
+            feedback.dataset.fieldError = field;
+            feedback.textContent = errors[field].join(' ');
+            
+            input.classList.add('is-invalid');
+            input.setAttribute('aria-invalid', 'true');
+            
+            // Keep Bootstrap input groups intact
+            const anchor = input.closest('.input-group') || input;
+            anchor.insertAdjacentElement('afterend', feedback);
+            
+            // Clear the message once the user edits the field
+            input.addEventListener('input', () => {
+                input.classList.remove('is-invalid');
+                input.removeAttribute('aria-invalid');
+                feedback.remove();
+            }, { once: true });
+        });
+        
+        // Bring the first invalid field into view
+        const firstInvalid = form.querySelector('.is-invalid');
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+        
+        return unmatched;
+    }
+    
+    clearFieldErrors(form) {
+        form.querySelectorAll('.is-invalid').forEach(input => {
+            input.classList.remove('is-invalid');
+            input.removeAttribute('aria-invalid');
+        });
+        form.querySelectorAll('[data-field-error]').forEach(feedback => feedback.remove());
+    }
+    
+    // Network inspector drawer - lists api.networkLog (already redacted by NeurixAPI)
+    createNetworkInspector(api, options = {}) {
+        const inspectorId = options.id || 'network-inspector';
+        
+        const inspectorHTML = `
+            <div class="offcanvas offcanvas-bottom network-inspector" id="${inspectorId}" tabindex="-1" aria-labelledby="${inspectorId}-title">
+                <div class="offcanvas-header">
+                    <h5 class="offcanvas-title" id="${inspectorId}-title">
+                        <i class="fas fa-network-wired me-2"></i>Network
+                        <span class="badge bg-secondary ms-2 network-count">0</span>
+                    </h5>
+                    <div class="network-toolbar">
+                        <input type="search" class="form-control form-control-sm network-filter" placeholder="Filter by URL or tag">
+                        <select class="form-select form-select-sm network-method">
+                            <option value="">All methods</option>
+                            <option>GET</option>
+                            <option>POST</option>
+                            <option>PUT</option>
+                            <option>PATCH</option>
+                            <option>DELETE</option>
+                        </select>
+                        <select class="form-select form-select-sm network-status">
+                            <option value="">All statuses</option>
+                            <option value="2">2xx</option>
+                            <option value="3">3xx</option>
+                            <option value="4">4xx</option>
+                            <option value="5">5xx</option>
+                            <option value="0">Failed</option>
+                        </select>
+                        <button type="button" class="btn btn-sm btn-outline-secondary network-clear">
+                            <i class="fas fa-ban me-1"></i>Clear
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline-primary network-export">
+                            <i class="fas fa-download me-1"></i>Export HAR
+                        </button>
+                        <button type="button" class="btn-close" data-bs-dismiss="offcanvas" aria-label="Close"></button>
+                    </div>
+                </div>
+                <div class="offcanvas-body">
+                    <div class="network-list">
+                        <table class="table table-sm table-hover mb-0">
+                            <thead>
+                                <tr>
+                                    <th>Method</th>
+                                    <th>URL</th>
+                                    <th>Status</th>
+                                    <th>Time</th>
+                                    <th>Size</th>
+                                    <th>Rate limit</th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+                    <div class="network-details d-none">
+                        <pre class="network-details-content m-0"></pre>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const container = document.getElementById('modal-container') || document.body;
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = inspectorHTML;
+        const element = wrapper.firstElementChild;
+        container.appendChild(element);
+        
+        const offcanvas = new bootstrap.Offcanvas(element);
+        const tbody = element.querySelector('tbody');
+        const filterInput = element.querySelector('.network-filter');
+        const methodSelect = element.querySelector('.network-method');
+        const statusSelect = element.querySelector('.network-status');
+        const details = element.querySelector('.network-details');
+        const detailsContent = element.querySelector('.network-details-content');
+        let selectedId = null;
+        
+        const formatSize = (bytes) => {
+            if (!bytes) return '-';
+            if (bytes < 1024) return `${bytes} B`;
+            if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        };
+        
+        const matches = (entry) => {
+            const text = filterInput.value.trim().toLowerCase();
+            const statusClass = statusSelect.value;
+            
+            if (text && !`${entry.url} ${entry.tag || ''}`.toLowerCase().includes(text)) return false;
+            if (methodSelect.value && entry.method !== methodSelect.value) return false;
+            if (statusClass !== '' && String(Math.floor(entry.status / 100)) !== statusClass) return false;
+            
+            return true;
+        };
+        
+        // Entries contain server data, so cells are filled with textContent only
+        const createRow = (entry) => {
+            const row = document.createElement('tr');
+            row.dataset.entryId = entry.id;
+            row.className = entry.error || entry.status >= 400 ? 'table-danger' : '';
+            
+            const rateLimit = entry.rateLimit.remaining !== null
+                ? `${entry.rateLimit.remaining}/${entry.rateLimit.limit}`
+                : '-';
+            
+            [
+                entry.method,
+                entry.endpoint,
+                entry.status || (entry.error ? entry.error.split(':')[0] : 'failed'),
+                `${entry.duration} ms`,
+                formatSize(entry.size),
+                rateLimit
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            
+            row.addEventListener('click', () => showDetails(entry));
+            return row;
+        };
+        
+        const showDetails = (entry) => {
+            selectedId = entry.id;
+            tbody.querySelectorAll('tr').forEach(row => {
+                row.classList.toggle('table-active', row.dataset.entryId === entry.id);
+            });
+            
+            detailsContent.textContent = [
+                `${entry.method} ${entry.url}`,
+                `Status: ${entry.status} ${entry.statusText}${entry.error ? ` (${entry.error})` : ''}`,
+                `Started: ${new Date(entry.startedAt).toISOString()}  Duration: ${entry.duration} ms  Size: ${formatSize(entry.size)}`,
+                `Rate limit: ${entry.rateLimit.remaining ?? '-'} remaining of ${entry.rateLimit.limit ?? '-'}, resets ${entry.rateLimit.reset ?? '-'}`,
+                '',
+                'Request headers:',
+                JSON.stringify(entry.requestHeaders, null, 2),
+                '',
+                'Request body:',
+                entry.requestBody || '(none)',
+                '',
+                'Response headers:',
+                JSON.stringify(entry.responseHeaders, null, 2),
+                '',
+                'Response body:',
+                entry.responseBody || '(none)'
+            ].join('\n');
+            details.classList.remove('d-none');
+        };
+        
+        const render = () => {
+            const entries = api.networkLog.filter(matches).reverse();
+            
+            tbody.replaceChildren(...entries.map(createRow));
+            element.querySelector('.network-count').textContent = entries.length;
+            
+            if (!entries.some(entry => entry.id === selectedId)) {
+                selectedId = null;
+                details.classList.add('d-none');
+            }
+        };
+        
+        const exportHAR = () => {
+            const har = api.exportHAR(api.networkLog.filter(matches));
+            const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            
+            link.href = URL.createObjectURL(blob);
+            link.download = `neurix-network-${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        };
+        
+        filterInput.addEventListener('input', render);
+        methodSelect.addEventListener('change', render);
+        statusSelect.addEventListener('change', render);
+        element.querySelector('.network-clear').addEventListener('click', () => {
+            api.clearNetworkLog();
+            render();
+        });
+        element.querySelector('.network-export').addEventListener('click', exportHAR);
+        
+        // Only re-render while the drawer is open
+        const unsubscribe = api.onNetworkEntry(() => {
+            if (element.classList.contains('show')) render();
+        });
+        element.addEventListener('show.bs.offcanvas', render);
+        
+        const inspector = {
+            id: inspectorId,
+            element,
+            instance: offcanvas,
+            show: () => offcanvas.show(),
+            hide: () => offcanvas.hide(),
+            toggle: () => offcanvas.toggle(),
+            exportHAR,
+            dispose: () => {
+                unsubscribe();
+                offcanvas.dispose();
+                element.remove();
+                this.components.delete(inspectorId);
+            }
+        };
+        
+        this.components.set(inspectorId, inspector);
+        return inspector;
+    }
+    
+    // Jobs tray - queued/running generation jobs with progress, ETA and cancel
+    createJobsTray(jobManager, options = {}) {
+        const trayId = options.id || 'jobs-tray';
+        const icons = { image: 'image', video: 'video', audio: 'music' };
+        
+        const trayHTML = `
+            <div class="jobs-tray d-none" id="${trayId}" role="region" aria-label="Generation jobs">
+                <div class="jobs-tray-header">
+                    <span><i class="fas fa-tasks me-2"></i>Jobs</span>
+                    <span class="badge bg-primary jobs-count">0</span>
+                    <button type="button" class="btn btn-sm btn-link jobs-clear">Clear finished</button>
+                    <button type="button" class="btn btn-sm btn-link jobs-toggle" aria-label="Collapse">
+                        <i class="fas fa-chevron-down"></i>
+                    </button>
+                </div>
+                <ul class="jobs-list list-unstyled mb-0"></ul>
+            </div>
+        `;
+        
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = trayHTML;
+        const element = wrapper.firstElementChild;
+        document.body.appendChild(element);
+        
+        const list = element.querySelector('.jobs-list');
+        
+        const formatEta = (seconds) => {
+            if (seconds === null || seconds === undefined) return '';
+            if (seconds < 60) return `~${seconds}s left`;
+            return `~${Math.floor(seconds / 60)}m ${seconds % 60}s left`;
+        };
+        
+        const describe = (job) => {
+            switch (job.status) {
+                case 'queued':
+                    return job.position ? `Queued (#${job.position})` : 'Queued';
+                case 'running':
+                    return `${Math.round(job.progress)}% ${formatEta(job.eta)}`.trim();
+                case 'completed':
+                    return 'Done';
+                case 'failed':
+                    return `Failed${job.error && job.error.message ? `: ${job.error.message}` : ''}`;
+                default:
+                    return 'Cancelled';
+            }
+        };
+        
+        // Titles are user prompts, so everything is set with textContent
+        const createItem = (job) => {
+            const item = document.createElement('li');
+            item.className = `job-item job-${job.status}`;
+            item.dataset.jobId = job.id;
+            item.innerHTML = `
+                <div class="job-item-header">
+                    <i class="fas fa-${icons[job.type] || 'cog'} job-icon"></i>
+                    <span class="job-title"></span>
+                    <button type="button" class="btn btn-sm btn-link text-danger job-cancel" aria-label="Cancel job">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="progress job-progress">
+                    <div class="progress-bar" role="progressbar"></div>
+                </div>
+                <small class="job-status text-muted"></small>
+            `;
+            
+            item.querySelector('.job-title').textContent = job.title || `${job.type} job`;
+            item.querySelector('.job-status').textContent = describe(job);
+            
+            const bar = item.querySelector('.progress-bar');
+            bar.style.width = `${job.progress}%`;
+            bar.setAttribute('aria-valuenow', Math.round(job.progress));
+            bar.classList.toggle('progress-bar-striped', job.status === 'queued');
+            bar.classList.toggle('progress-bar-animated', job.status === 'queued');
+            bar.classList.toggle('bg-success', job.status === 'completed');
+            bar.classList.toggle('bg-danger', job.status === 'failed');
+            
+            const cancelButton = item.querySelector('.job-cancel');
+            cancelButton.classList.toggle('d-none', !['queued', 'running'].includes(job.status));
+            cancelButton.addEventListener('click', () => {
+                cancelButton.disabled = true;
+                jobManager.cancel(job.id).catch(error => {
+                    cancelButton.disabled = false;
+                    this.showToast({ type: 'danger', message: `Could not cancel job: ${error.message}`, plainText: true });
+                });
+            });
+            
+            return item;
+        };
+        
+        const render = () => {
+            const jobs = jobManager.getJobs();
+            const active = jobs.filter(job => ['queued', 'running'].includes(job.status)).length;
+            
+            list.replaceChildren(...jobs.map(createItem));
+            element.querySelector('.jobs-count').textContent = active;
+            element.classList.toggle('d-none', jobs.length === 0);
+        };
+        
+        element.querySelector('.jobs-toggle').addEventListener('click', () => {
+            const collapsed = element.classList.toggle('collapsed');
+            element.querySelector('.jobs-toggle i').className = `fas fa-chevron-${collapsed ? 'up' : 'down'}`;
+        });
+        element.querySelector('.jobs-clear').addEventListener('click', () => jobManager.clearFinished());
+        
+        const unsubscribe = jobManager.onUpdate(render);
+        render();
+        
+        const tray = {
+            id: trayId,
+            element,
+            render,
+            dispose: () => {
+                unsubscribe();
+                element.remove();
+                this.components.delete(trayId);
+            }
+        };
+        
+        this.components.set(trayId, tray);
+        return tray;
+    }
+    
     // Utility methods
     generateModelParametersHTML(parameters) {
         if (!parameters || parameters.length === 0) {
@@ -687,7 +1299,7 @@ class NeurixComponents {
                 return `
                     <div class="d-flex align-items-center">
                         <input type="range" class="form-range" 
-                               id="${param.id}" 
+                               id="${param.id}" name="${param.id}" 
                                min="${param.min || 0}" 
                                max="${param.max || 100}" 
                                step="${param.step || 1}" 
@@ -698,7 +1310,7 @@ class NeurixComponents {
                 
             case 'select':
                 return `
-                    <select class="form-select" id="${param.id}">
+                    <select class="form-select" id="${param.id}" name="${param.id}">
                         ${param.options.map(opt => `
                             <option value="${opt.value}" ${opt.value === param.default ? 'selected' : ''}>
                                 ${opt.label}
@@ -711,7 +1323,7 @@ class NeurixComponents {
                 return `
                     <div class="form-check">
                         <input class="form-check-input" type="checkbox" 
-                               id="${param.id}" ${param.default ? 'checked' : ''}>
+                               id="${param.id}" name="${param.id}" ${param.default ? 'checked' : ''}>
                         <label class="form-check-label" for="${param.id}">
                             ${param.label}
                         </label>
@@ -721,7 +1333,7 @@ class NeurixComponents {
             case 'number':
                 return `
                     <input type="number" class="form-control" 
-                           id="${param.id}" 
+                           id="${param.id}" name="${param.id}" 
                            min="${param.min || ''}" 
                            max="${param.max || ''}" 
                            step="${param.step || 1}" 
@@ -731,7 +1343,7 @@ class NeurixComponents {
             default:
                 return `
                     <input type="text" class="form-control" 
-                           id="${param.id}" 
+                           id="${param.id}" name="${param.id}" 
                            value="${param.default || ''}">
                 `;
         }
@@ -774,19 +1386,26 @@ class NeurixComponents {
     }
     
     // Initialize Bootstrap components
+    // Each initializer skips elements that already have their component, so patched content can be re-initialized
     initializeTooltips(container = document) {
-        const tooltipTriggerList = container.querySelectorAll('[data-bs-toggle="tooltip"]');
-        [...tooltipTriggerList].map(tooltipTriggerEl => new bootstrap.Tooltip(tooltipTriggerEl));
+        this.mountBootstrap(container, '[data-bs-toggle="tooltip"]', 'tooltip', element => new bootstrap.Tooltip(element));
     }
     
     initializePopovers(container = document) {
-        const popoverTriggerList = container.querySelectorAll('[data-bs-toggle="popover"]');
-        [...popoverTriggerList].map(popoverTriggerEl => new bootstrap.Popover(popoverTriggerEl));
+        this.mountBootstrap(container, '[data-bs-toggle="popover"]', 'popover', element => new bootstrap.Popover(element));
     }
     
     initializeDropdowns(container = document) {
-        const dropdownTriggerList = container.querySelectorAll('[data-bs-toggle="dropdown"]');
-        [...dropdownTriggerList].map(dropdownTriggerEl => new bootstrap.Dropdown(dropdownTriggerEl));
+        this.mountBootstrap(container, '[data-bs-toggle="dropdown"]', 'dropdown', element => new bootstrap.Dropdown(element));
+    }
+    
+    mountBootstrap(container, selector, type, create) {
+        container.querySelectorAll(selector).forEach(element => {
+            if (this.isMounted(element, type)) return;
+            
+            const instance = create(element);
+            this.track(element, type, () => instance.dispose());
+        });
     }
     
     initializeModals() {
@@ -801,21 +1420,23 @@ class NeurixComponents {
     }
     
     initializeAccordions(container = document) {
-        const accordionElements = container.querySelectorAll('.accordion');
-        accordionElements.forEach(accordionEl => {
-            const accordion = new bootstrap.Collapse(accordionEl, {
-                toggle: false
-            });
-        });
+        this.mountBootstrap(container, '.accordion', 'collapse', element => new bootstrap.Collapse(element, {
+            toggle: false
+        }));
     }
     
     initializeTabs(container = document) {
         const tabElements = container.querySelectorAll('[data-bs-toggle="tab"]');
         tabElements.forEach(tabEl => {
+            if (this.isMounted(tabEl, 'tab')) return;
+            
             tabEl.addEventListener('click', (e) => {
                 e.preventDefault();
-                const tab = new bootstrap.Tab(tabEl);
-                tab.show();
+                bootstrap.Tab.getOrCreateInstance(tabEl).show();
+            });
+            this.track(tabEl, 'tab', () => {
+                const tab = bootstrap.Tab.getInstance(tabEl);
+                if (tab) tab.dispose();
             });
         });
     }
@@ -837,6 +1458,8 @@ class NeurixComponents {
     initializeCharts(container = document) {
         const chartElements = container.querySelectorAll('[data-chart]');
         chartElements.forEach(chartEl => {
+            if (this.isMounted(chartEl, 'chart')) return;
+            
             const chartId = chartEl.id || `chart-${Date.now()}`;
             chartEl.id = chartId;
             
@@ -932,8 +1555,8 @@ class NeurixComponents {
             const modelData = JSON.parse(element.getAttribute('data-model-interface') || '{}');
             const options = JSON.parse(element.getAttribute('data-model-options') || '{}');
             
-            const interface = this.createModelInterface(modelData, options);
-            element.parentNode.replaceChild(interface.element, element);
+            const modelInterface = this.createModelInterface(modelData, options);
+            element.parentNode.replaceChild(modelInterface.element, element);
         });
     }
 }
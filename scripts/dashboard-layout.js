@@ -0,0 +1,223 @@
+/**
+ * ChangeX Neurix - Dashboard layout
+ * Which dashboard cards a user shows, in what order and how wide
+ */
+
+/**
+ * The catalog lists every card the dashboard can show ({id, title, size, sizes,
+ * default, ...}); the layout is the visible subset in display order, each with a
+ * width in grid columns. Cards not in the layout are offered by getAvailable().
+ *
+ * Layouts are saved per user through the API and mirrored to localStorage, which
+ * is what loads when the API can't be reached or the user is signed out. Saves
+ * to the API are debounced so a burst of drags sends one request.
+ */
+class DashboardLayout {
+    constructor(config = {}) {
+        this.catalog = config.catalog || [];
+        this.client = config.client || null;
+        this.saveDelay = config.saveDelay || 1000;
+        this.onSaveError = config.onSaveError || null;
+        
+        this.userId = undefined;
+        this.widgets = this.getDefault();
+        this.saveTimer = null;
+    }
+    
+    getDefault() {
+        return this.catalog
+            .filter(widget => widget.default !== false)
+            .map(widget => ({ id: widget.id, size: widget.size }));
+    }
+    
+    getDefinition(id) {
+        return this.catalog.find(widget => widget.id === id) || null;
+    }
+    
+    // Loads once per user; pass options (e.g. a request tag) through to the API call
+    async load(userId = null, options = {}) {
+        if (userId === this.userId) return this.widgets;
+        
+        this.flush();
+        this.userId = userId;
+        
+        let saved = null;
+        if (userId && this.client) {
+            try {
+                saved = (await this.client.dashboard.layout.get(options)).data.data;
+                if (saved) this.storeLocal(saved);
+            } catch (error) {
+                if (error.cancelled) {
+                    this.userId = undefined;
+                    throw error;
+                }
+                console.warn('Failed to load dashboard layout, using the local copy:', error.message);
+            }
+        }
+        
+        this.widgets = this.normalize(saved || this.readLocal());
+        return this.widgets;
+    }
+    
+    // Unknown cards are dropped and sizes snapped to what the card supports
+    normalize(layout) {
+        if (!layout || layout.version !== 1 || !Array.isArray(layout.widgets)) {
+            return this.getDefault();
+        }
+        
+        const seen = new Set();
+        
+        return layout.widgets.filter(item => {
+            if (!item || !this.getDefinition(item.id) || seen.has(item.id)) return false;
+            
+            seen.add(item.id);
+            return true;
+        }).map(item => {
+            const definition = this.getDefinition(item.id);
+            const sizes = definition.sizes || [definition.size];
+            
+            return {
+                id: item.id,
+                size: sizes.includes(item.size) ? item.size : definition.size
+            };
+        });
+    }
+    
+    toJSON() {
+        return {
+            version: 1,
+            widgets: this.widgets.map(({ id, size }) => ({ id, size }))
+        };
+    }
+    
+    has(id) {
+        return this.widgets.some(widget => widget.id === id);
+    }
+    
+    // Visible cards, merged with their catalog entries
+    getVisible() {
+        return this.widgets.map((widget, index) => {
+            const definition = this.getDefinition(widget.id);
+            const sizes = definition.sizes || [definition.size];
+            
+            return {
+                ...definition,
+                size: widget.size,
+                first: index === 0,
+                last: index === this.widgets.length - 1,
+                canShrink: sizes.indexOf(widget.size) > 0,
+                canGrow: sizes.indexOf(widget.size) < sizes.length - 1
+            };
+        });
+    }
+    
+    getAvailable() {
+        return this.catalog.filter(widget => !this.has(widget.id));
+    }
+    
+    // Layout changes - each returns whether anything changed and saves if so
+    add(id) {
+        const definition = this.getDefinition(id);
+        if (!definition || this.has(id)) return false;
+        
+        this.widgets.push({ id, size: definition.size });
+        return this.changed();
+    }
+    
+    hide(id) {
+        if (!this.has(id)) return false;
+        
+        this.widgets = this.widgets.filter(widget => widget.id !== id);
+        return this.changed();
+    }
+    
+    move(id, offset) {
+        const from = this.widgets.findIndex(widget => widget.id === id);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= this.widgets.length) return false;
+        
+        const [widget] = this.widgets.splice(from, 1);
+        this.widgets.splice(to, 0, widget);
+        return this.changed();
+    }
+    
+    // After a drag - ids in their new order; anything missing keeps its place at the end
+    setOrder(ids) {
+        const previous = this.widgets.map(widget => widget.id).join();
+        const ordered = ids.map(id => this.widgets.find(widget => widget.id === id)).filter(Boolean);
+        
+        this.widgets = [...ordered, ...this.widgets.filter(widget => !ids.includes(widget.id))];
+        
+        if (this.widgets.map(widget => widget.id).join() === previous) return false;
+        return this.changed();
+    }
+    
+    // Step to the next narrower (-1) or wider (+1) size the card supports
+    resize(id, step) {
+        const widget = this.widgets.find(item => item.id === id);
+        if (!widget) return false;
+        
+        const definition = this.getDefinition(id);
+        const sizes = definition.sizes || [definition.size];
+        const size = sizes[sizes.indexOf(widget.size) + step];
+        if (size === undefined) return false;
+        
+        widget.size = size;
+        return this.changed();
+    }
+    
+    reset() {
+        this.widgets = this.getDefault();
+        return this.changed();
+    }
+    
+    changed() {
+        this.save();
+        return true;
+    }
+    
+    save() {
+        this.storeLocal(this.toJSON());
+        
+        if (!this.userId || !this.client) return;
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    }
+    
+    // Send a pending save now (e.g. before switching users)
+    flush() {
+        if (!this.saveTimer) return;
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        
+        this.client.dashboard.layout.save(this.toJSON()).catch(error => {
+            if (this.onSaveError) {
+                this.onSaveError(error);
+            } else {
+                console.warn('Failed to save dashboard layout:', error.message);
+            }
+        });
+    }
+    
+    getStorageKey() {
+        return `neurix_dashboard_layout_${this.userId || 'guest'}`;
+    }
+    
+    readLocal() {
+        try {
+            return JSON.parse(localStorage.getItem(this.getStorageKey()));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    storeLocal(layout) {
+        try {
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(layout));
+        } catch (error) {
+            console.warn('Failed to store dashboard layout:', error.message);
+        }
+    }
+}
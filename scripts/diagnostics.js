@@ -0,0 +1,100 @@
+/**
+ * ChangeX Neurix - Diagnostics
+ * Per-endpoint latency percentiles and error rates for the diagnostics page
+ */
+
+/**
+ * Loaded as the diagnostics route's page module. Reads NeurixAPI.getMetrics() for
+ * the window picked in #diagnostics-window and redraws every `refreshInterval` ms
+ * until stop() is called.
+ */
+class DiagnosticsPanel {
+    constructor(config = {}) {
+        this.api = config.api;
+        this.refreshInterval = config.refreshInterval || 5000;
+        this.timer = null;
+    }
+    
+    // Call once the diagnostics template is in the page
+    start() {
+        this.stop();
+        this.render();
+        
+        document.getElementById('diagnostics-window')?.addEventListener('change', () => {
+            this.render();
+        });
+        
+        this.timer = setInterval(() => {
+            this.render();
+        }, this.refreshInterval);
+    }
+    
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    
+    render() {
+        const tbody = document.getElementById('diagnostics-endpoints');
+        if (!tbody) return;
+        
+        const windowMs = parseInt(document.getElementById('diagnostics-window')?.value) || 300000;
+        const metrics = this.api.getMetrics({ windowMs });
+        const { totals } = metrics;
+        
+        const totalsText = {
+            count: totals.count,
+            p50: this.formatMs(totals.latency.p50),
+            p95: this.formatMs(totals.latency.p95),
+            errorRate: this.formatRate(totals.errorRate)
+        };
+        document.querySelectorAll('.diagnostics-page [data-metric]').forEach(element => {
+            element.textContent = totalsText[element.dataset.metric];
+        });
+        
+        // Endpoint paths come from the API, so build cells with textContent
+        tbody.replaceChildren(...metrics.endpoints.map(endpoint => {
+            const row = document.createElement('tr');
+            const classes = endpoint.statusClasses;
+            
+            if (endpoint.errorRate >= 0.05) row.className = 'table-warning';
+            
+            [
+                `${endpoint.method} ${endpoint.endpoint}`,
+                endpoint.count,
+                this.formatMs(endpoint.latency.p50),
+                this.formatMs(endpoint.latency.p95),
+                this.formatMs(endpoint.latency.p99),
+                `${classes['2xx']} / ${classes['3xx']} / ${classes['4xx']} / ${classes['5xx']} / ${classes.failed}`,
+                this.formatRate(endpoint.errorRate),
+                this.formatBytes(endpoint.requestBytes.mean),
+                this.formatBytes(endpoint.responseBytes.mean)
+            ].forEach((value, index) => {
+                const cell = document.createElement('td');
+                if (index > 0) cell.className = 'text-end';
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            
+            return row;
+        }));
+        
+        document.getElementById('diagnostics-empty')?.classList.toggle('d-none', metrics.endpoints.length > 0);
+    }
+    
+    formatMs(value) {
+        return value === null ? '-' : `${value} ms`;
+    }
+    
+    formatRate(value) {
+        return `${(value * 100).toFixed(1)}%`;
+    }
+    
+    formatBytes(value) {
+        if (value < 1024) return `${value} B`;
+        if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} kB`;
+        return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+    }
+}
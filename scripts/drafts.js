@@ -0,0 +1,246 @@
+/**
+ * ChangeX Neurix - Drafts
+ * Dirty-state registry for forms and editors, with auto-saved drafts
+ */
+
+/**
+ * Editors register a getValue/setValue pair (or a form/textarea element) under a
+ * stable id. An entry is dirty while its value differs from the value it had when
+ * registered or last marked clean. saveDrafts() writes dirty values to localStorage;
+ * registering the same id later reports the stored draft through onDraftAvailable
+ * so the page can offer to restore it.
+ */
+class DraftManager {
+    constructor(config = {}) {
+        this.maxAge = config.maxAge || 7 * 24 * 60 * 60 * 1000; // 1 week
+        this.onDraftAvailable = config.onDraftAvailable || null;
+        this.onDirtyChange = config.onDirtyChange || null;
+        
+        this.entries = new Map();
+    }
+    
+    register(id, options = {}) {
+        this.unregister(id);
+        
+        const entry = {
+            id,
+            page: options.page || null,
+            label: options.label || 'draft',
+            element: options.element || null,
+            getValue: options.getValue,
+            setValue: options.setValue,
+            cleanup: options.cleanup || null,
+            baseline: null,
+            savedValue: null,
+            dirty: false
+        };
+        entry.baseline = this.serialize(entry);
+        this.entries.set(id, entry);
+        
+        const draft = this.getDraft(id);
+        if (draft && draft.value !== entry.baseline && this.onDraftAvailable) {
+            this.onDraftAvailable({ id, label: entry.label, page: entry.page }, draft);
+        }
+        
+        return {
+            update: () => this.update(id),
+            markClean: () => this.markClean(id),
+            unregister: () => this.unregister(id)
+        };
+    }
+    
+    // Track a form (named fields), textarea or input through its input/change events
+    registerElement(element, options = {}) {
+        const isForm = element.tagName === 'FORM';
+        const id = options.id || element.dataset.draft || element.dataset.form || element.id;
+        const onInput = () => this.update(id);
+        
+        element.addEventListener('input', onInput);
+        element.addEventListener('change', onInput);
+        
+        return this.register(id, {
+            label: element.dataset.draftLabel,
+            ...options,
+            element,
+            getValue: () => isForm ? this.readForm(element) : element.value,
+            setValue: (value) => {
+                if (isForm) {
+                    this.fillForm(element, value);
+                } else {
+                    element.value = value;
+                }
+            },
+            cleanup: () => {
+                element.removeEventListener('input', onInput);
+                element.removeEventListener('change', onInput);
+            }
+        });
+    }
+    
+    // Passwords and files are never part of a draft
+    readForm(form) {
+        const values = {};
+        
+        Array.from(form.elements).forEach(field => {
+            if (!field.name || field.type === 'password' || field.type === 'file') return;
+            
+            if (field.type === 'checkbox') {
+                values[field.name] = field.checked;
+            } else if (field.type === 'radio') {
+                if (field.checked) values[field.name] = field.value;
+            } else {
+                values[field.name] = field.value;
+            }
+        });
+        
+        return values;
+    }
+    
+    fillForm(form, values = {}) {
+        Array.from(form.elements).forEach(field => {
+            if (!field.name || !(field.name in values)) return;
+            
+            if (field.type === 'checkbox') {
+                field.checked = Boolean(values[field.name]);
+            } else if (field.type === 'radio') {
+                field.checked = field.value === values[field.name];
+            } else if (field.type !== 'password' && field.type !== 'file') {
+                field.value = values[field.name];
+            }
+        });
+    }
+    
+    serialize(entry) {
+        return JSON.stringify(entry.getValue());
+    }
+    
+    update(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return false;
+        
+        const dirty = this.serialize(entry) !== entry.baseline;
+        if (dirty !== entry.dirty) {
+            entry.dirty = dirty;
+            
+            if (this.onDirtyChange) {
+                this.onDirtyChange(id, dirty);
+            }
+        }
+        
+        return dirty;
+    }
+    
+    // After a successful submit - the current value is the new baseline and the draft goes
+    markClean(id) {
+        const entry = this.entries.get(id);
+        
+        if (entry) {
+            entry.baseline = this.serialize(entry);
+            entry.savedValue = null;
+            this.update(id);
+        }
+        
+        this.discardDraft(id);
+    }
+    
+    unregister(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+        
+        if (entry.cleanup) entry.cleanup();
+        this.entries.delete(id);
+    }
+    
+    // The page's DOM is gone; stored drafts stay for the next visit
+    unregisterPage(page) {
+        this.getEntries(page).forEach(entry => this.unregister(entry.id));
+    }
+    
+    // A patched page keeps its fields, so they must not be registered (and reset) again
+    isTracking(element) {
+        return this.getEntries().some(entry => entry.element === element);
+    }
+    
+    getEntries(page = undefined) {
+        return [...this.entries.values()].filter(entry => page === undefined || entry.page === page);
+    }
+    
+    isDirty(page = undefined) {
+        return this.getEntries(page).some(entry => this.update(entry.id));
+    }
+    
+    // Returns how many drafts were written
+    saveDrafts(page = undefined) {
+        let saved = 0;
+        
+        this.getEntries(page).forEach(entry => {
+            if (!this.update(entry.id)) return;
+            
+            const value = this.serialize(entry);
+            if (value === entry.savedValue) return;
+            
+            try {
+                localStorage.setItem(`neurix_draft_${entry.id}`, JSON.stringify({
+                    value,
+                    label: entry.label,
+                    page: entry.page,
+                    savedAt: Date.now()
+                }));
+                entry.savedValue = value;
+                saved++;
+            } catch (error) {
+                console.warn(`Failed to save draft ${entry.id}:`, error.message);
+            }
+        });
+        
+        return saved;
+    }
+    
+    getDraft(id) {
+        let draft;
+        try {
+            draft = JSON.parse(localStorage.getItem(`neurix_draft_${id}`));
+        } catch (error) {
+            draft = null;
+        }
+        
+        if (draft && Date.now() - draft.savedAt > this.maxAge) {
+            this.discardDraft(id);
+            return null;
+        }
+        
+        return draft;
+    }
+    
+    restore(id) {
+        const entry = this.entries.get(id);
+        const draft = this.getDraft(id);
+        if (!entry || !draft) return false;
+        
+        entry.setValue(JSON.parse(draft.value));
+        entry.savedValue = draft.value;
+        this.update(id);
+        
+        return true;
+    }
+    
+    discardDraft(id) {
+        localStorage.removeItem(`neurix_draft_${id}`);
+    }
+    
+    // Leave without keeping the edits
+    discardPage(page) {
+        this.getEntries(page).forEach(entry => {
+            this.discardDraft(entry.id);
+            entry.baseline = this.serialize(entry);
+            this.update(entry.id);
+        });
+    }
+    
+    // On logout - drafts belong to the signed-in user
+    clearAll() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith('neurix_draft_'))
+            .forEach(key => localStorage.removeItem(key));
+    }
+}
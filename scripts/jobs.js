@@ -0,0 +1,300 @@
+/**
+ * ChangeX Neurix - Generation Jobs
+ * Tracks long-running image, video and audio generation jobs
+ */
+
+/**
+ * Jobs report progress on the socket topic `job:<id>` as { status, progress, eta,
+ * position, result, error }. While the socket is down, or a job has been quiet for
+ * `staleAfter` ms, it is polled through GET /jobs/:id instead. Active jobs are kept
+ * in localStorage so a reload picks them back up.
+ */
+class JobManager {
+    constructor(config = {}) {
+        this.client = config.client;
+        this.socket = config.socket || null;
+        this.pollInterval = config.pollInterval || 3000;
+        this.staleAfter = config.staleAfter || 10000;
+        this.maxFinished = config.maxFinished || 20;
+        this.onJobUpdate = config.onJobUpdate || null;
+        
+        this.jobs = new Map();
+        this.subscriptions = new Map();
+        this.waiters = new Map();
+        this.listeners = new Set();
+        this.pollTimer = null;
+    }
+    
+    // Submit through `send` (resolves to the API response holding the new job) and track it
+    async submit(type, title, send) {
+        const response = await send();
+        return this.track(response.data, { type, title });
+    }
+    
+    track(data, meta = {}) {
+        const now = Date.now();
+        const job = {
+            id: data.id,
+            type: data.type || meta.type,
+            title: meta.title || '',
+            status: 'queued',
+            progress: 0,
+            eta: null,
+            position: null,
+            result: null,
+            error: null,
+            createdAt: meta.createdAt || now,
+            startedAt: null,
+            finishedAt: null,
+            updatedAt: now,
+            lastHeard: now
+        };
+        
+        this.jobs.set(job.id, job);
+        this.subscribe(job);
+        this.applyUpdate(job.id, data);
+        this.persist();
+        this.schedulePoll();
+        
+        return { ...job };
+    }
+    
+    subscribe(job) {
+        if (!this.socket || this.subscriptions.has(job.id) || this.isFinished(job)) return;
+        
+        this.subscriptions.set(job.id, this.socket.subscribe(`job:${job.id}`, (payload) => {
+            this.applyUpdate(job.id, payload);
+        }));
+    }
+    
+    setSocket(socket) {
+        this.socket = socket;
+        this.jobs.forEach(job => this.subscribe(job));
+    }
+    
+    applyUpdate(id, update = {}) {
+        const job = this.jobs.get(id);
+        if (!job || this.isFinished(job)) return;
+        
+        const now = Date.now();
+        
+        ['status', 'progress', 'eta', 'position', 'result', 'error'].forEach(field => {
+            if (update[field] !== undefined) job[field] = update[field];
+        });
+        
+        job.updatedAt = now;
+        job.lastHeard = now;
+        
+        if (job.status === 'running' && !job.startedAt) {
+            job.startedAt = now;
+        }
+        
+        if (job.status === 'completed') {
+            job.progress = 100;
+            job.eta = 0;
+        } else if (job.status === 'running' && update.eta === undefined && job.progress > 0) {
+            // Extrapolate from the progress rate when the server has no estimate
+            const elapsed = now - job.startedAt;
+            job.eta = Math.round((elapsed / job.progress) * (100 - job.progress) / 1000);
+        }
+        
+        if (this.isFinished(job)) {
+            this.finish(job);
+        }
+        
+        this.notify(job);
+    }
+    
+    finish(job) {
+        job.finishedAt = Date.now();
+        
+        const unsubscribe = this.subscriptions.get(job.id);
+        if (unsubscribe) {
+            unsubscribe();
+            this.subscriptions.delete(job.id);
+        }
+        
+        (this.waiters.get(job.id) || []).forEach(waiter => this.settle(job, waiter));
+        this.waiters.delete(job.id);
+        
+        // Keep the tray short - drop the jobs that finished longest ago
+        const finished = [...this.jobs.values()]
+            .filter(item => this.isFinished(item))
+            .sort((a, b) => a.finishedAt - b.finishedAt);
+        finished.slice(0, Math.max(0, finished.length - this.maxFinished)).forEach(item => this.jobs.delete(item.id));
+        
+        this.persist();
+    }
+    
+    // Resolves with the job's result; rejects when it fails or is cancelled
+    wait(id) {
+        return new Promise((resolve, reject) => {
+            const job = this.jobs.get(id);
+            const waiter = { resolve, reject };
+            
+            if (!job) {
+                reject(new Error(`Unknown job ${id}`));
+            } else if (this.isFinished(job)) {
+                this.settle(job, waiter);
+            } else {
+                if (!this.waiters.has(id)) this.waiters.set(id, []);
+                this.waiters.get(id).push(waiter);
+            }
+        });
+    }
+    
+    settle(job, waiter) {
+        if (job.status === 'completed') {
+            waiter.resolve(job.result);
+            return;
+        }
+        
+        if (job.status === 'cancelled') {
+            const error = new Error('Job cancelled');
+            error.name = 'AbortError';
+            error.cancelled = true;
+            waiter.reject(error);
+            return;
+        }
+        
+        const details = job.error || {};
+        waiter.reject(new NeurixAPIError(details.message || 'Job failed', { code: details.code || null, data: job }));
+    }
+    
+    async cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job || this.isFinished(job)) return;
+        
+        const response = await this.client.jobs.cancel(id);
+        this.applyUpdate(id, response.data);
+    }
+    
+    // One timer for all jobs; it stops once nothing is active
+    schedulePoll() {
+        if (this.pollTimer || !this.hasActiveJobs()) return;
+        
+        this.pollTimer = setInterval(() => {
+            if (!this.hasActiveJobs()) {
+                clearInterval(this.pollTimer);
+                this.pollTimer = null;
+                return;
+            }
+            
+            const socketLive = this.socket && this.socket.isConnected();
+            const now = Date.now();
+            
+            this.jobs.forEach(job => {
+                if (this.isFinished(job)) return;
+                if (socketLive && now - job.lastHeard < this.staleAfter) return;
+                
+                this.poll(job.id);
+            });
+        }, this.pollInterval);
+    }
+    
+    async poll(id) {
+        try {
+            const response = await this.client.jobs.get(id, { priority: 'low' });
+            this.applyUpdate(id, response.data);
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                this.applyUpdate(id, { status: 'failed', error: { code: 'JOB_NOT_FOUND', message: 'Job no longer exists' } });
+            } else {
+                console.warn(`Failed to poll job ${id}:`, error.message);
+            }
+        }
+    }
+    
+    // Resume jobs that were still running when the page was last closed
+    restore() {
+        let saved = [];
+        try {
+            saved = JSON.parse(localStorage.getItem('neurix_active_jobs') || '[]');
+        } catch (error) {
+            return;
+        }
+        
+        saved.forEach(item => {
+            if (this.jobs.has(item.id)) return;
+            
+            this.track({ id: item.id, type: item.type }, item);
+            this.poll(item.id);
+        });
+    }
+    
+    persist() {
+        const active = [...this.jobs.values()]
+            .filter(job => !this.isFinished(job))
+            .map(({ id, type, title, createdAt }) => ({ id, type, title, createdAt }));
+        
+        localStorage.setItem('neurix_active_jobs', JSON.stringify(active));
+    }
+    
+    onUpdate(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    notify(job) {
+        const snapshot = { ...job };
+        
+        if (this.onJobUpdate) {
+            this.onJobUpdate(snapshot);
+        }
+        
+        this.listeners.forEach(listener => {
+            try {
+                listener(snapshot);
+            } catch (error) {
+                console.error('Error in job listener:', error);
+            }
+        });
+    }
+    
+    isFinished(job) {
+        return ['completed', 'failed', 'cancelled'].includes(job.status);
+    }
+    
+    hasActiveJobs() {
+        return [...this.jobs.values()].some(job => !this.isFinished(job));
+    }
+    
+    // Newest first
+    getJobs() {
+        return [...this.jobs.values()]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(job => ({ ...job }));
+    }
+    
+    clearFinished() {
+        this.jobs.forEach((job, id) => {
+            if (this.isFinished(job)) this.jobs.delete(id);
+        });
+        
+        this.listeners.forEach(listener => listener(null));
+    }
+    
+    // Signing out - drop every job, running or not, and the saved list a reload would restore
+    clearAll() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions.clear();
+        
+        // Callers still waiting see the job as cancelled
+        this.waiters.forEach(waiters => waiters.forEach(waiter => this.settle({ status: 'cancelled' }, waiter)));
+        this.waiters.clear();
+        this.jobs.clear();
+        
+        localStorage.removeItem('neurix_active_jobs');
+        this.listeners.forEach(listener => listener(null));
+    }
+    
+    destroy() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions.clear();
+        this.listeners.clear();
+    }
+}
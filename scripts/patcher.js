@@ -0,0 +1,147 @@
+/**
+ * ChangeX Neurix - DOM patcher
+ * Updates rendered markup in place instead of replacing it with innerHTML
+ */
+
+/**
+ * patch(container, html) morphs the container's children into the new markup:
+ * matching nodes are kept and only their text and attributes change, so focus,
+ * caret, scroll offsets, listeners and mounted components survive a re-render.
+ *
+ * Children are matched by key (data-key, falling back to id) and otherwise by
+ * position and tag. Elements marked data-preserve (code editors, widgets that
+ * replace their placeholder) keep their own subtree; canvases keep theirs too
+ * since a chart owns its pixels and size. Fields keep what the user typed unless
+ * the rendered value itself changed.
+ */
+class NeurixPatcher {
+    patch(container, html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        
+        this.patchChildren(container, template.content);
+        return container;
+    }
+    
+    patchChildren(parent, next) {
+        const keyed = new Map();
+        const unkeyed = [];
+        const used = new Set();
+        
+        Array.from(parent.childNodes).forEach(node => {
+            const key = this.getKey(node);
+            if (key) {
+                keyed.set(key, node);
+            } else {
+                unkeyed.push(node);
+            }
+        });
+        
+        let position = 0;
+        let cursor = 0;
+        
+        Array.from(next.childNodes).forEach(nextNode => {
+            let match = null;
+            const key = this.getKey(nextNode);
+            
+            if (key) {
+                const candidate = keyed.get(key);
+                // A preserved element stands in for whatever placeholder it replaced
+                if (candidate && !used.has(candidate) && (this.isSameNode(candidate, nextNode) || this.isPreserved(candidate))) {
+                    match = candidate;
+                }
+            } else {
+                // First unused node of the same kind; anything skipped over is removed below
+                for (let i = cursor; i < unkeyed.length; i++) {
+                    if (this.isSameNode(unkeyed[i], nextNode)) {
+                        match = unkeyed[i];
+                        cursor = i + 1;
+                        break;
+                    }
+                }
+            }
+            
+            const reference = parent.childNodes[position] || null;
+            
+            if (match) {
+                used.add(match);
+                this.patchNode(match, nextNode);
+                if (match !== reference) {
+                    parent.insertBefore(match, reference);
+                }
+            } else {
+                parent.insertBefore(document.importNode(nextNode, true), reference);
+            }
+            
+            position++;
+        });
+        
+        // Whatever is left over was not in the new markup
+        while (parent.childNodes.length > position) {
+            parent.removeChild(parent.childNodes[position]);
+        }
+    }
+    
+    patchNode(current, next) {
+        if (current.nodeType !== Node.ELEMENT_NODE) {
+            if (current.nodeValue !== next.nodeValue) {
+                current.nodeValue = next.nodeValue;
+            }
+            return;
+        }
+        
+        if (this.isPreserved(current)) return;
+        
+        this.patchAttributes(current, next);
+        
+        if (current.tagName === 'TEXTAREA') {
+            this.patchField(current, 'value', current.defaultValue, next.defaultValue);
+        }
+        
+        this.patchChildren(current, next);
+    }
+    
+    patchAttributes(current, next) {
+        Array.from(current.attributes).forEach(attribute => {
+            if (!next.hasAttribute(attribute.name)) {
+                if (attribute.name === 'checked') {
+                    this.patchField(current, 'checked', true, false);
+                }
+                current.removeAttribute(attribute.name);
+            }
+        });
+        
+        Array.from(next.attributes).forEach(attribute => {
+            const previous = current.getAttribute(attribute.name);
+            if (previous === attribute.value) return;
+            
+            current.setAttribute(attribute.name, attribute.value);
+            
+            if (current.tagName === 'INPUT' && attribute.name === 'value') {
+                this.patchField(current, 'value', previous, attribute.value);
+            } else if (current.tagName === 'INPUT' && attribute.name === 'checked' && previous === null) {
+                this.patchField(current, 'checked', false, true);
+            }
+        });
+    }
+    
+    // Only a changed rendered value overwrites the live one, and never under the user's cursor
+    patchField(element, property, previous, next) {
+        if (previous === next || element === document.activeElement) return;
+        element[property] = next;
+    }
+    
+    getKey(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+        return node.getAttribute('data-key') || node.id || null;
+    }
+    
+    isSameNode(current, next) {
+        if (current.nodeType !== next.nodeType) return false;
+        return current.nodeType !== Node.ELEMENT_NODE || current.tagName === next.tagName;
+    }
+    
+    isPreserved(element) {
+        return element.hasAttribute('data-preserve') || element.tagName === 'CANVAS';
+    }
+}
@@ -0,0 +1,532 @@
+/**
+ * ChangeX Neurix - Router
+ * Hash or History API routing with params, nested routes, guards and lazy page modules
+ */
+
+/**
+ * Routes map a pattern to a handler or a definition:
+ *   'models': {
+ *       handler: (params, route) => ...,     // exact match
+ *       auth: true,                          // signed-in users only
+ *       roles: ['admin'],                    // any of these roles
+ *       module: '/scripts/diagnostics.js',   // script(s) loaded before the first visit
+ *       redirect: 'models/image',            // or (route) => 'path'
+ *       children: { ':id': handler }         // nested - inherits auth, roles and modules
+ *   }
+ * Patterns use `:name` for a path segment and `*` for the rest of the path.
+ * Handlers receive the decoded path params and the resolved route
+ * ({ path, fullPath, pattern, params, query, meta }).
+ */
+class NeurixRouter {
+    constructor(config = {}) {
+        this.mode = config.mode === 'history' && window.history && window.history.pushState ? 'history' : 'hash';
+        this.base = `/${(config.base || '').replace(/^\/+|\/+$/g, '')}/`.replace('//', '/');
+        this.defaultRoute = config.defaultRoute || 'dashboard';
+        
+        // Guards - where unauthenticated and forbidden visits are sent
+        this.isAuthenticated = config.isAuthenticated || (() => true);
+        this.hasRole = config.hasRole || (() => true);
+        this.redirects = {
+            unauthenticated: this.defaultRoute,
+            forbidden: this.defaultRoute,
+            ...config.redirects
+        };
+        
+        // Callbacks
+        this.onRouteChange = config.onRouteChange || null;
+        this.onRouteError = config.onRouteError || null;
+        
+        this.routes = this.flattenRoutes(config.routes || {});
+        this.notFound = {
+            pattern: '*',
+            handler: config.notFound || null,
+            redirect: null,
+            auth: false,
+            roles: null,
+            modules: [],
+            meta: { notFound: true }
+        };
+        
+        this.guards = new Set();
+        this.modules = new Map();
+        this.scrollPositions = this.loadScrollPositions();
+        
+        this.current = null;
+        this.currentKey = null;
+        this.previous = null;
+        this.pending = null;
+        this.navigationId = 0;
+        this.position = 0;
+        this.ignorePop = false;
+        this.started = false;
+        
+        this.handlePopState = this.handlePopState.bind(this);
+        this.handleLinkClick = this.handleLinkClick.bind(this);
+        this.saveScrollPosition = this.saveScrollPosition.bind(this);
+    }
+    
+    // Nested definitions become one ordered list; static segments win over params
+    flattenRoutes(routes, parent = null) {
+        const flat = [];
+        
+        Object.keys(routes).forEach(key => {
+            const definition = typeof routes[key] === 'function' ? { handler: routes[key] } : routes[key];
+            const pattern = [parent ? parent.pattern : '', key].filter(Boolean).join('/');
+            const route = {
+                pattern,
+                handler: definition.handler || null,
+                redirect: definition.redirect || null,
+                auth: Boolean(definition.auth || definition.roles || (parent && parent.auth)),
+                roles: definition.roles || (parent ? parent.roles : null),
+                modules: [...(parent ? parent.modules : []), ...[].concat(definition.module || [])],
+                meta: { ...(parent ? parent.meta : {}), ...definition.meta },
+                ...this.compilePattern(pattern)
+            };
+            
+            if (route.handler || route.redirect) {
+                flat.push(route);
+            }
+            
+            if (definition.children) {
+                flat.push(...this.flattenRoutes(definition.children, route));
+            }
+        });
+        
+        return parent ? flat : flat.sort((a, b) => a.rank - b.rank);
+    }
+    
+    compilePattern(pattern) {
+        const keys = [];
+        let params = 0;
+        let wildcard = false;
+        
+        const source = pattern.split('/').filter(Boolean).map(segment => {
+            if (segment === '*') {
+                wildcard = true;
+                keys.push('path');
+                return '(.*)';
+            }
+            
+            if (segment.startsWith(':')) {
+                params++;
+                keys.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            
+            return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('/');
+        
+        return {
+            regex: new RegExp(`^${source}$`),
+            keys,
+            rank: (wildcard ? 1000 : 0) + params
+        };
+    }
+    
+    start() {
+        if (this.started) return Promise.resolve(false);
+        this.started = true;
+        
+        // Positions are restored after the new page has rendered, not by the browser
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+        
+        window.addEventListener('popstate', this.handlePopState);
+        window.addEventListener('pagehide', this.saveScrollPosition);
+        if (this.mode === 'hash') {
+            window.addEventListener('hashchange', this.handlePopState);
+        } else {
+            document.addEventListener('click', this.handleLinkClick);
+        }
+        
+        const state = window.history.state || {};
+        this.position = state.position || 0;
+        
+        return this.navigate(this.getLocation(), { replace: true, restoreKey: state.key });
+    }
+    
+    stop() {
+        this.started = false;
+        window.removeEventListener('popstate', this.handlePopState);
+        window.removeEventListener('hashchange', this.handlePopState);
+        window.removeEventListener('pagehide', this.saveScrollPosition);
+        document.removeEventListener('click', this.handleLinkClick);
+    }
+    
+    // `query` is merged into the path's own query string; resolves false if blocked
+    navigateTo(path, options = {}) {
+        const { pathname, query } = this.parseLocation(path);
+        return this.navigate(this.buildPath(pathname, { ...query, ...options.query }), {
+            replace: Boolean(options.replace)
+        });
+    }
+    
+    replace(path, options = {}) {
+        return this.navigateTo(path, { ...options, replace: true });
+    }
+    
+    back() {
+        window.history.back();
+    }
+    
+    // Run the current route's handler again, keeping the URL and scroll position
+    reload() {
+        if (!this.current) return Promise.resolve(false);
+        
+        this.saveScrollPosition();
+        return this.navigate(this.current.fullPath, { replace: true, restoreKey: this.currentKey });
+    }
+    
+    // Guards run before every navigation: return false to stay, or a path to redirect.
+    // Returns a function that removes the guard.
+    beforeEach(guard) {
+        this.guards.add(guard);
+        return () => this.guards.delete(guard);
+    }
+    
+    // Link target for a path in the current mode
+    href(path) {
+        const fullPath = path.replace(/^[#/]+/, '');
+        return this.mode === 'hash' ? `#${fullPath}` : `${this.base}${fullPath}`;
+    }
+    
+    resolve(fullPath) {
+        const { pathname, query } = this.parseLocation(fullPath);
+        const path = pathname || this.defaultRoute;
+        
+        for (const route of this.routes) {
+            const match = path.match(route.regex);
+            if (!match) continue;
+            
+            const params = {};
+            route.keys.forEach((key, index) => {
+                params[key] = this.decode(match[index + 1]);
+            });
+            
+            return this.createRoute(route, path, query, params);
+        }
+        
+        return this.createRoute(this.notFound, path, query, { path });
+    }
+    
+    createRoute(route, path, query, params) {
+        return {
+            path,
+            fullPath: this.buildPath(path, query),
+            pattern: route.pattern,
+            params,
+            query,
+            meta: route.meta,
+            definition: route
+        };
+    }
+    
+    async navigate(fullPath, options = {}, redirects = 0) {
+        if (redirects > 10) {
+            this.handleError(new Error(`Redirect loop at ${fullPath}`), null);
+            return false;
+        }
+        
+        const id = ++this.navigationId;
+        const to = this.resolve(fullPath);
+        const from = this.current;
+        const { definition } = to;
+        
+        // Redirects take the original's place: a new entry for links, the same entry for back/forward
+        const redirectOptions = options.pop ? { replace: true } : options;
+        
+        this.pending = to.fullPath;
+        
+        try {
+            if (definition.redirect) {
+                const target = typeof definition.redirect === 'function' ? definition.redirect(to) : definition.redirect;
+                return await this.navigate(target, redirectOptions, redirects + 1);
+            }
+            
+            const denied = this.checkAccess(to);
+            if (denied) {
+                this.handleError(denied, to);
+                
+                // Stay put when there is a page to stay on
+                if (from && denied.code === 'FORBIDDEN') {
+                    this.cancel(options);
+                    return false;
+                }
+                
+                const query = denied.code === 'UNAUTHENTICATED' ? { redirect: to.fullPath } : {};
+                const target = this.redirects[denied.code === 'FORBIDDEN' ? 'forbidden' : 'unauthenticated'];
+                return await this.navigate(this.buildPath(target, query), redirectOptions, redirects + 1);
+            }
+            
+            for (const guard of this.guards) {
+                const result = await guard(to, from);
+                if (id !== this.navigationId) return false;
+                
+                if (result === false) {
+                    this.cancel(options);
+                    return false;
+                }
+                
+                if (typeof result === 'string') {
+                    return await this.navigate(result, redirectOptions, redirects + 1);
+                }
+            }
+            
+            await Promise.all(definition.modules.map(src => this.loadModule(src)));
+        } catch (error) {
+            if (id === this.navigationId) {
+                this.handleError(error, to);
+                this.cancel(options);
+            }
+            return false;
+        } finally {
+            if (id === this.navigationId) this.pending = null;
+        }
+        
+        // A newer navigation started while guards or modules were loading
+        if (id !== this.navigationId) return false;
+        
+        this.saveScrollPosition();
+        const key = this.commitLocation(to, options);
+        this.currentKey = key;
+        
+        this.previous = from;
+        this.current = to;
+        
+        if (this.onRouteChange) {
+            this.onRouteChange(to, from);
+        }
+        
+        try {
+            if (definition.handler) {
+                await definition.handler(to.params, to);
+            }
+        } catch (error) {
+            if (!error.cancelled) this.handleError(error, to);
+        }
+        
+        if (id === this.navigationId) {
+            this.restoreScrollPosition(options.pop || options.restoreKey ? key : null);
+        }
+        
+        return true;
+    }
+    
+    checkAccess(to) {
+        const { definition } = to;
+        
+        if (definition.auth && !this.isAuthenticated()) {
+            return Object.assign(new Error('Please sign in to view this page'), { code: 'UNAUTHENTICATED', status: 401 });
+        }
+        
+        if (definition.roles && !this.hasRole(definition.roles)) {
+            return Object.assign(new Error('You do not have access to this page'), { code: 'FORBIDDEN', status: 403 });
+        }
+        
+        return null;
+    }
+    
+    // Writes the URL and history state; returns the entry's scroll key
+    commitLocation(to, options) {
+        const state = window.history.state || {};
+        
+        if (options.pop && state.key) {
+            this.position = state.position || 0;
+            return state.key;
+        }
+        
+        const url = this.href(to.fullPath);
+        
+        if (options.pop) {
+            // Entry created by the browser (typed URL or plain hash link) - adopt it
+            const entry = { key: this.createKey(), position: this.position + 1 };
+            window.history.replaceState(entry, '', url);
+            this.position = entry.position;
+            return entry.key;
+        }
+        
+        if (options.replace) {
+            const entry = { key: state.key || this.createKey(), position: this.position };
+            window.history.replaceState(entry, '', url);
+            return entry.key;
+        }
+        
+        const entry = { key: this.createKey(), position: this.position + 1 };
+        window.history.pushState(entry, '', url);
+        this.position = entry.position;
+        return entry.key;
+    }
+    
+    // Put the address bar back after a blocked back/forward or link navigation
+    cancel(options) {
+        if (!options.pop || !this.current) return;
+        
+        const state = window.history.state || {};
+        
+        if (state.key && state.position !== this.position) {
+            this.ignorePop = true;
+            window.history.go(this.position - state.position);
+        } else {
+            window.history.replaceState({ key: this.createKey(), position: this.position }, '', this.href(this.current.fullPath));
+        }
+    }
+    
+    handlePopState() {
+        if (this.ignorePop) {
+            this.ignorePop = false;
+            return;
+        }
+        
+        // Hash links fire both popstate and hashchange
+        const location = this.getLocation();
+        if (location === this.pending || (this.current && !this.pending && location === this.current.fullPath)) return;
+        
+        this.navigate(location, { pop: true });
+    }
+    
+    // History mode: keep in-app links from reloading the page
+    handleLinkClick(event) {
+        if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+        
+        const link = event.target.closest('a[href]');
+        if (!link || link.target === '_blank' || link.hasAttribute('download') || link.hasAttribute('data-bs-toggle')) return;
+        
+        const href = link.getAttribute('href');
+        let path;
+        
+        if (href.startsWith('#')) {
+            path = href.slice(1);
+        } else {
+            const url = new URL(link.href, window.location.href);
+            if (url.origin !== window.location.origin || !url.pathname.startsWith(this.base)) return;
+            path = url.pathname.slice(this.base.length) + url.search;
+        }
+        
+        if (!path || this.resolve(path).meta.notFound) return;
+        
+        event.preventDefault();
+        this.navigateTo(path);
+    }
+    
+    getLocation() {
+        if (this.mode === 'hash') {
+            return window.location.hash.replace(/^#\/?/, '');
+        }
+        
+        const pathname = window.location.pathname;
+        const path = pathname.startsWith(this.base) ? pathname.slice(this.base.length) : pathname.replace(/^\//, '');
+        return path + window.location.search;
+    }
+    
+    parseLocation(fullPath) {
+        const [pathname, search = ''] = String(fullPath || '').replace(/^[#/]+/, '').split('?');
+        const query = {};
+        
+        new URLSearchParams(search).forEach((value, key) => {
+            if (query[key] === undefined) {
+                query[key] = value;
+            } else {
+                query[key] = [].concat(query[key], value);
+            }
+        });
+        
+        return { pathname: pathname.replace(/\/+$/, ''), query };
+    }
+    
+    buildPath(pathname, query = {}) {
+        const search = new URLSearchParams();
+        
+        Object.keys(query).forEach(key => {
+            [].concat(query[key]).forEach(value => {
+                if (value !== undefined && value !== null) search.append(key, value);
+            });
+        });
+        
+        const queryString = search.toString();
+        return queryString ? `${pathname}?${queryString}` : pathname;
+    }
+    
+    decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            return value;
+        }
+    }
+    
+    // Page modules are plain scripts, loaded once and shared between routes
+    loadModule(src) {
+        if (!this.modules.has(src)) {
+            this.modules.set(src, new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.async = true;
+                script.onload = resolve;
+                script.onerror = () => {
+                    // Allow a retry on the next visit
+                    this.modules.delete(src);
+                    script.remove();
+                    reject(Object.assign(new Error(`Failed to load page module ${src}`), { code: 'MODULE_LOAD_FAILED' }));
+                };
+                document.head.appendChild(script);
+            }));
+        }
+        
+        return this.modules.get(src);
+    }
+    
+    // Scroll positions per history entry (kept for the session so reloads restore too).
+    // On back/forward history.state already belongs to the new entry, hence currentKey.
+    saveScrollPosition() {
+        if (!this.currentKey) return;
+        
+        this.scrollPositions.delete(this.currentKey);
+        this.scrollPositions.set(this.currentKey, { x: window.scrollX, y: window.scrollY });
+        
+        while (this.scrollPositions.size > 50) {
+            this.scrollPositions.delete(this.scrollPositions.keys().next().value);
+        }
+        
+        try {
+            sessionStorage.setItem('neurix_scroll_positions', JSON.stringify([...this.scrollPositions]));
+        } catch (error) {
+            // Storage full or disabled - positions just won't survive a reload
+        }
+    }
+    
+    restoreScrollPosition(key) {
+        const position = key ? this.scrollPositions.get(key) : null;
+        
+        if (position) {
+            window.scrollTo(position.x, position.y);
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+    
+    loadScrollPositions() {
+        try {
+            return new Map(JSON.parse(sessionStorage.getItem('neurix_scroll_positions') || '[]'));
+        } catch (error) {
+            return new Map();
+        }
+    }
+    
+    createKey() {
+        return `${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+    }
+    
+    handleError(error, route) {
+        if (this.onRouteError) {
+            this.onRouteError(error, route);
+        } else {
+            console.error('Route error:', error);
+        }
+    }
+    
+    destroy() {
+        this.stop();
+        this.guards.clear();
+    }
+}
@@ -0,0 +1,441 @@
+/**
+ * ChangeX Neurix - Real-time Socket
+ * WebSocket client with token auth, reconnection, heartbeats and topic subscriptions
+ */
+
+/**
+ * Protocol (JSON frames):
+ *   client -> { type: 'auth', token }            server -> { type: 'auth:ok' } | { type: 'auth:error', message }
+ *   client -> { type: 'ping', ts }               server -> { type: 'pong', ts }
+ *   client -> { type: 'subscribe', topic, params } / { type: 'unsubscribe', topic }
+ *   server -> { type: 'event', topic, payload }  delivered to subscribe() callbacks
+ * Anything else from the server goes to onMessage. Messages sent before the socket
+ * is authenticated are buffered and flushed, after the subscriptions are restored.
+ */
+class NeurixSocket {
+    constructor(config = {}) {
+        this.url = this.toSocketUrl(config.url || window.location.origin, config.path || '/ws');
+        this.token = config.token || null;
+        
+        // Reconnection - full jitter between 0 and min(maxDelay, baseDelay * 2^attempt)
+        this.reconnect = {
+            baseDelay: 1000,
+            maxDelay: 30000,
+            maxAttempts: Infinity,
+            ...config.reconnect
+        };
+        
+        // Heartbeat - a ping every `interval`; no frame within `timeout` after it means stale
+        this.heartbeat = {
+            interval: 25000,
+            timeout: 10000,
+            ...config.heartbeat
+        };
+        
+        this.authTimeout = config.authTimeout || 10000;
+        this.bufferSize = config.bufferSize || 100;
+        
+        // Callbacks
+        this.onConnect = config.onConnect || null;
+        this.onDisconnect = config.onDisconnect || null;
+        this.onMessage = config.onMessage || null;
+        this.onError = config.onError || null;
+        this.onConnectionChange = config.onConnectionChange || null;
+        
+        this.ws = null;
+        this.status = 'disconnected';
+        this.attempts = 0;
+        this.hasConnected = false;
+        this.manualClose = false;
+        this.buffer = [];
+        this.subscriptions = new Map();
+        this.pendingConnect = null;
+        
+        this.timers = {
+            reconnect: null,
+            heartbeat: null,
+            stale: null,
+            auth: null
+        };
+        
+        // Don't wait out the backoff when the network comes back
+        this.handleOnline = () => {
+            if (this.status === 'reconnecting') {
+                clearTimeout(this.timers.reconnect);
+                this.open();
+            }
+        };
+        window.addEventListener('online', this.handleOnline);
+    }
+    
+    toSocketUrl(base, path) {
+        const url = new URL(path, base);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : url.protocol === 'http:' ? 'ws:' : url.protocol;
+        return url.href;
+    }
+    
+    // Resolves once authenticated; rejects if the first attempt fails (retries continue in the background)
+    connect() {
+        if (!this.token) {
+            return Promise.resolve(false);
+        }
+        
+        if (this.status === 'connected') {
+            return Promise.resolve(true);
+        }
+        
+        this.manualClose = false;
+        
+        if (!this.pendingConnect) {
+            this.pendingConnect = {};
+            this.pendingConnect.promise = new Promise((resolve, reject) => {
+                this.pendingConnect.resolve = resolve;
+                this.pendingConnect.reject = reject;
+            });
+            
+            if (this.status === 'disconnected') {
+                this.open();
+            }
+        }
+        
+        return this.pendingConnect.promise;
+    }
+    
+    disconnect() {
+        this.manualClose = true;
+        this.clearTimers();
+        this.attempts = 0;
+        
+        this.settleConnect(new Error('Socket disconnected'));
+        
+        // Torn down synchronously, so a connect() right after this opens a new socket
+        if (this.ws) {
+            this.dropConnection(1000, 'Client disconnect');
+        } else {
+            this.setStatus('disconnected');
+        }
+    }
+    
+    // New token from login or refresh - re-authenticate the open connection
+    setToken(token) {
+        this.token = token;
+        
+        if (!token) {
+            this.disconnect();
+            return;
+        }
+        
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.sendFrame({ type: 'auth', token });
+        } else if (this.status === 'disconnected' && !this.manualClose) {
+            // Closed as unauthorized (4001) - nothing reconnects until a new token arrives.
+            // Failures surface through onError and onConnectionChange.
+            this.connect().catch(() => {});
+        }
+    }
+    
+    open() {
+        this.clearTimers();
+        this.setStatus(this.hasConnected || this.attempts > 0 ? 'reconnecting' : 'connecting');
+        
+        let ws;
+        try {
+            ws = new WebSocket(this.url);
+        } catch (error) {
+            this.handleError(error);
+            this.scheduleReconnect();
+            return;
+        }
+        
+        this.ws = ws;
+        
+        ws.onopen = () => {
+            this.setStatus('authenticating');
+            this.sendFrame({ type: 'auth', token: this.token });
+            
+            this.timers.auth = setTimeout(() => {
+                this.handleError(new Error('Socket authentication timed out'));
+                this.dropConnection(4008, 'Authentication timeout');
+            }, this.authTimeout);
+        };
+        
+        ws.onmessage = (event) => this.handleFrame(event.data);
+        
+        ws.onerror = () => {
+            // The close event that follows carries the details
+            this.handleError(new Error('WebSocket error'));
+        };
+        
+        ws.onclose = (event) => this.handleClose(ws, event);
+    }
+    
+    handleFrame(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            console.warn('Ignoring non-JSON socket frame:', raw);
+            return;
+        }
+        
+        // Any frame proves the connection is alive
+        clearTimeout(this.timers.stale);
+        
+        switch (message.type) {
+            case 'auth:ok':
+                this.handleAuthenticated();
+                break;
+            case 'auth:error':
+                this.handleError(new Error(message.message || 'Socket authentication failed'));
+                this.ws.close(4001, 'Unauthorized');
+                break;
+            case 'pong':
+                break;
+            case 'event':
+                this.dispatchEvent(message);
+                break;
+            default:
+                if (this.onMessage) {
+                    this.onMessage(message);
+                }
+        }
+    }
+    
+    handleAuthenticated() {
+        clearTimeout(this.timers.auth);
+        
+        // Re-authentication on an open connection (setToken)
+        if (this.status === 'connected') return;
+        
+        const reconnected = this.hasConnected;
+        this.attempts = 0;
+        this.hasConnected = true;
+        this.setStatus('connected');
+        
+        // Restore subscriptions before anything that was queued while offline
+        this.subscriptions.forEach((subscription, topic) => {
+            this.sendFrame({ type: 'subscribe', topic, params: subscription.params });
+        });
+        
+        const buffered = this.buffer;
+        this.buffer = [];
+        buffered.forEach(frame => this.sendFrame(frame));
+        
+        this.startHeartbeat();
+        this.settleConnect();
+        
+        if (this.onConnect) {
+            this.onConnect({ reconnected });
+        }
+    }
+    
+    handleClose(ws, event) {
+        // A superseded socket closing late must not tear down the current one
+        if (ws !== this.ws) return;
+        
+        this.ws = null;
+        this.clearTimers();
+        
+        const wasConnected = this.status === 'connected';
+        const unauthorized = event.code === 4001;
+        const willReconnect = !this.manualClose && !unauthorized && this.attempts < this.reconnect.maxAttempts;
+        
+        if (wasConnected && this.onDisconnect) {
+            this.onDisconnect({ code: event.code, reason: event.reason, willReconnect });
+        }
+        
+        // Only the first attempt rejects connect(); later failures keep retrying quietly
+        if (!this.hasConnected || !willReconnect) {
+            this.settleConnect(new Error(`Socket closed (${event.code}${event.reason ? `: ${event.reason}` : ''})`));
+        }
+        
+        if (willReconnect) {
+            this.scheduleReconnect();
+        } else {
+            // Unauthorized waits for a new token; setToken() reconnects with it
+            this.setStatus('disconnected');
+        }
+    }
+    
+    // A dead connection may take minutes to report its close, so stop waiting for it
+    dropConnection(code, reason) {
+        const ws = this.ws;
+        if (!ws) return;
+        
+        ws.onclose = null;
+        ws.onmessage = null;
+        ws.onerror = null;
+        ws.close(code, reason);
+        
+        this.handleClose(ws, { code, reason });
+    }
+    
+    scheduleReconnect() {
+        if (this.attempts >= this.reconnect.maxAttempts) {
+            this.setStatus('disconnected');
+            return;
+        }
+        
+        const ceiling = Math.min(this.reconnect.maxDelay, this.reconnect.baseDelay * Math.pow(2, this.attempts));
+        const delay = Math.random() * ceiling;
+        
+        this.attempts++;
+        this.setStatus('reconnecting');
+        
+        this.timers.reconnect = setTimeout(() => this.open(), delay);
+    }
+    
+    startHeartbeat() {
+        clearInterval(this.timers.heartbeat);
+        
+        this.timers.heartbeat = setInterval(() => {
+            this.sendFrame({ type: 'ping', ts: Date.now() });
+            
+            clearTimeout(this.timers.stale);
+            this.timers.stale = setTimeout(() => {
+                console.warn('Socket heartbeat timed out, reconnecting');
+                this.dropConnection(4000, 'Heartbeat timeout');
+            }, this.heartbeat.timeout);
+        }, this.heartbeat.interval);
+    }
+    
+    // Topic subscriptions survive reconnects. `params` travels with the subscribe frame.
+    // Returns an unsubscribe function.
+    subscribe(topic, callback, params = undefined) {
+        let subscription = this.subscriptions.get(topic);
+        
+        if (!subscription) {
+            subscription = { callbacks: new Set(), params };
+            this.subscriptions.set(topic, subscription);
+            
+            if (this.status === 'connected') {
+                this.sendFrame({ type: 'subscribe', topic, params });
+            }
+        }
+        
+        subscription.callbacks.add(callback);
+        
+        return () => this.unsubscribe(topic, callback);
+    }
+    
+    unsubscribe(topic, callback) {
+        const subscription = this.subscriptions.get(topic);
+        if (!subscription) return;
+        
+        if (callback) {
+            subscription.callbacks.delete(callback);
+        } else {
+            subscription.callbacks.clear();
+        }
+        
+        if (subscription.callbacks.size === 0) {
+            this.subscriptions.delete(topic);
+            
+            if (this.status === 'connected') {
+                this.sendFrame({ type: 'unsubscribe', topic });
+            }
+        }
+    }
+    
+    dispatchEvent(message) {
+        const subscription = this.subscriptions.get(message.topic);
+        
+        if (!subscription) {
+            if (this.onMessage) {
+                this.onMessage(message);
+            }
+            return;
+        }
+        
+        subscription.callbacks.forEach(callback => {
+            try {
+                callback(message.payload, message);
+            } catch (error) {
+                console.error(`Error in socket subscriber for ${message.topic}:`, error);
+            }
+        });
+    }
+    
+    // Application message; buffered while not connected
+    send(type, payload = {}) {
+        const frame = { type, payload, id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` };
+        
+        if (this.status === 'connected') {
+            this.sendFrame(frame);
+            return true;
+        }
+        
+        this.buffer.push(frame);
+        if (this.buffer.length > this.bufferSize) {
+            const dropped = this.buffer.shift();
+            console.warn(`Socket buffer full, dropped ${dropped.type} message`);
+        }
+        
+        return false;
+    }
+    
+    sendFrame(frame) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(frame));
+        }
+    }
+    
+    setStatus(status) {
+        if (this.status === status) return;
+        
+        const previous = this.status;
+        this.status = status;
+        
+        if (this.onConnectionChange) {
+            this.onConnectionChange({ status, previous, attempts: this.attempts });
+        }
+    }
+    
+    settleConnect(error = null) {
+        if (!this.pendingConnect) return;
+        
+        const pending = this.pendingConnect;
+        this.pendingConnect = null;
+        
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve(true);
+        }
+    }
+    
+    handleError(error) {
+        if (this.onError) {
+            this.onError(error);
+        } else {
+            console.error('Socket error:', error);
+        }
+    }
+    
+    clearTimers() {
+        clearTimeout(this.timers.reconnect);
+        clearInterval(this.timers.heartbeat);
+        clearTimeout(this.timers.stale);
+        clearTimeout(this.timers.auth);
+    }
+    
+    isConnected() {
+        return this.status === 'connected';
+    }
+    
+    getState() {
+        return {
+            status: this.status,
+            attempts: this.attempts,
+            buffered: this.buffer.length,
+            subscriptions: [...this.subscriptions.keys()]
+        };
+    }
+    
+    destroy() {
+        this.disconnect();
+        this.subscriptions.clear();
+        this.buffer = [];
+        window.removeEventListener('online', this.handleOnline);
+    }
+}
@@ -0,0 +1,442 @@
+/**
+ * ChangeX Neurix - Templates
+ * Handlebars-style template engine for the pages in /pages
+ */
+
+/**
+ * Syntax:
+ *   {{user.username}}  {{this.title}}  {{../name}}  {{@index}}  {{@root.user}}
+ *   {{{html}}}                                  unescaped (trusted markup only)
+ *   {{#each items}}...{{else}}...{{/each}}      arrays and objects (@index, @key, @first, @last)
+ *   {{#if value}}...{{else}}...{{/if}}          empty arrays are falsy
+ *   {{#unless value}}...{{/unless}}   {{#with value}}...{{/with}}
+ *   {{> partial}}  {{> partial context}}
+ *   {{formatDate this.timestamp "relative"}}    helpers take paths, "strings", numbers and key=value
+ *   {{! comment }}  {{!-- comment --}}
+ * Everything is HTML-escaped unless it uses triple braces or a helper returns
+ * NeurixSafeString. Paths not found on the current object are looked up in the
+ * enclosing contexts; missing values render as an empty string.
+ *
+ * Compiled templates are cached by source (LRU, `maxCompiled`). A bundle written by
+ * tools/bundle-templates.js holds already-parsed pages; load() makes them available
+ * by name without fetching or parsing anything.
+ */
+class NeurixTemplates {
+    constructor(options = {}) {
+        this.helpers = { ...NeurixTemplates.defaultHelpers(), ...options.helpers };
+        this.partials = new Map();
+        this.compiled = new Map();
+        this.named = new Map();
+        this.maxCompiled = options.maxCompiled || 50;
+    }
+    
+    registerHelper(name, helper) {
+        this.helpers[name] = helper;
+    }
+    
+    registerPartial(name, source) {
+        this.partials.set(name, typeof source === 'function' ? source : this.compile(source, name));
+    }
+    
+    hasPartial(name) {
+        return this.partials.has(name);
+    }
+    
+    // Names of the partials a template refers to, so callers can load them first
+    findPartials(source) {
+        return [...new Set([...source.matchAll(/\{\{>\s*([\w./-]+)/g)].map(match => match[1]))];
+    }
+    
+    render(source, data = {}, name = 'template') {
+        return this.compile(source, name)(data);
+    }
+    
+    // Compiled once per source; the result is a plain function of the data
+    compile(source, name = 'template') {
+        const cached = this.compiled.get(source);
+        if (cached) {
+            // Most recently used goes last
+            this.compiled.delete(source);
+            this.compiled.set(source, cached);
+            return cached;
+        }
+        
+        const template = this.fromNodes(this.parse(source, name));
+        
+        this.compiled.set(source, template);
+        if (this.compiled.size > this.maxCompiled) {
+            this.compiled.delete(this.compiled.keys().next().value);
+        }
+        
+        return template;
+    }
+    
+    fromNodes(nodes) {
+        return (data = {}) => this.renderNodes(nodes, { value: data, parent: null, locals: { root: data } });
+    }
+    
+    // Drop a source that changed or left the page cache
+    forget(source) {
+        this.compiled.delete(source);
+    }
+    
+    // Parsed form of a template, as stored in the build-time bundle (plain JSON)
+    precompile(source, name = 'template') {
+        return this.parse(source, name);
+    }
+    
+    // Register a bundle from tools/bundle-templates.js; `partials/x` becomes partial `x`
+    load(bundle) {
+        if (!bundle || bundle.version !== 1) {
+            console.warn('Ignoring template bundle with unknown version');
+            return;
+        }
+        
+        Object.keys(bundle.templates).forEach(name => {
+            const template = this.fromNodes(bundle.templates[name]);
+            
+            if (name.startsWith('partials/')) {
+                this.partials.set(name.slice('partials/'.length), template);
+            } else {
+                this.named.set(name, template);
+            }
+        });
+    }
+    
+    getTemplate(name) {
+        return this.named.get(name) || null;
+    }
+    
+    parse(source, name) {
+        const root = { type: 'root', body: [] };
+        const stack = [root];
+        const tag = /\{\{!--[\s\S]*?--\}\}|\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+        let lastIndex = 0;
+        let match;
+        
+        const lineAt = (index) => source.slice(0, index).split('\n').length;
+        const fail = (message, index) => {
+            throw new Error(`${name}:${lineAt(index)}: ${message}`);
+        };
+        const current = () => {
+            const block = stack[stack.length - 1];
+            return block.inElse ? block.inverse : block.body;
+        };
+        
+        while ((match = tag.exec(source)) !== null) {
+            if (match.index > lastIndex) {
+                current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+            }
+            lastIndex = tag.lastIndex;
+            
+            if (match[1] !== undefined) {
+                current().push({ type: 'value', raw: true, ...this.parseExpression(match[1].trim()) });
+                continue;
+            }
+            
+            if (match[2] === undefined) continue; // {{!-- --}}
+            
+            const content = match[2].trim();
+            const sigil = content[0];
+            
+            if (sigil === '!') continue;
+            
+            if (sigil === '#') {
+                const [blockName, ...rest] = content.slice(1).trim().split(/\s+/);
+                if (!['each', 'if', 'unless', 'with'].includes(blockName)) {
+                    fail(`unknown block helper #${blockName}`, match.index);
+                }
+                
+                const block = {
+                    type: 'block',
+                    name: blockName,
+                    expression: this.parseExpression(rest.join(' ')),
+                    body: [],
+                    inverse: [],
+                    inElse: false,
+                    index: match.index
+                };
+                current().push(block);
+                stack.push(block);
+            } else if (sigil === '/') {
+                const blockName = content.slice(1).trim();
+                const block = stack.pop();
+                if (block.type !== 'block' || block.name !== blockName) {
+                    fail(`{{/${blockName}}} does not close an open {{#${blockName}}}`, match.index);
+                }
+            } else if (content === 'else') {
+                const block = stack[stack.length - 1];
+                if (block.type !== 'block' || block.inElse) {
+                    fail('{{else}} outside a block', match.index);
+                }
+                block.inElse = true;
+            } else if (sigil === '>') {
+                const [partial, context] = content.slice(1).trim().split(/\s+/);
+                current().push({ type: 'partial', name: partial, context: context || null });
+            } else {
+                current().push({ type: 'value', raw: false, ...this.parseExpression(content) });
+            }
+        }
+        
+        if (stack.length > 1) {
+            const block = stack[stack.length - 1];
+            fail(`unclosed {{#${block.name}}}`, block.index);
+        }
+        
+        if (lastIndex < source.length) {
+            root.body.push({ type: 'text', value: source.slice(lastIndex) });
+        }
+        
+        return root.body;
+    }
+    
+    // `name arg "literal" 3 key=value` - a single bare word is a path unless it names a helper
+    parseExpression(expression) {
+        const tokens = expression.match(/"[^"]*"|'[^']*'|[^\s]+/g) || [];
+        const args = [];
+        const hash = {};
+        
+        tokens.slice(1).forEach(token => {
+            const pair = token.match(/^(\w+)=(.+)$/);
+            if (pair) {
+                hash[pair[1]] = this.parseArgument(pair[2]);
+            } else {
+                args.push(this.parseArgument(token));
+            }
+        });
+        
+        return { head: tokens[0] || 'this', args, hash, call: tokens.length > 1 };
+    }
+    
+    parseArgument(token) {
+        if (/^(["']).*\1$/.test(token)) return { literal: token.slice(1, -1) };
+        if (/^-?\d+(\.\d+)?$/.test(token)) return { literal: Number(token) };
+        if (token === 'true' || token === 'false') return { literal: token === 'true' };
+        if (token === 'null') return { literal: null };
+        return { path: token };
+    }
+    
+    renderNodes(nodes, frame) {
+        let output = '';
+        
+        nodes.forEach(node => {
+            switch (node.type) {
+                case 'text':
+                    output += node.value;
+                    break;
+                case 'value': {
+                    const value = this.evaluate(node, frame);
+                    output += node.raw || value instanceof NeurixSafeString ? this.toText(value) : this.escape(value);
+                    break;
+                }
+                case 'block':
+                    output += this.renderBlock(node, frame);
+                    break;
+                case 'partial':
+                    output += this.renderPartial(node, frame);
+                    break;
+            }
+        });
+        
+        return output;
+    }
+    
+    renderBlock(node, frame) {
+        const value = this.evaluate(node.expression, frame);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        
+        switch (node.name) {
+            case 'if':
+                return this.renderNodes(truthy ? node.body : node.inverse, frame);
+            case 'unless':
+                return this.renderNodes(truthy ? node.inverse : node.body, frame);
+            case 'with':
+                return truthy ? this.renderNodes(node.body, this.child(frame, value)) : this.renderNodes(node.inverse, frame);
+            case 'each': {
+                const keys = value && typeof value === 'object' ? Object.keys(value) : [];
+                if (keys.length === 0) {
+                    return this.renderNodes(node.inverse, frame);
+                }
+                
+                return keys.map((key, index) => this.renderNodes(node.body, this.child(frame, value[key], {
+                    index,
+                    key,
+                    first: index === 0,
+                    last: index === keys.length - 1
+                }))).join('');
+            }
+        }
+        
+        return '';
+    }
+    
+    renderPartial(node, frame) {
+        const partial = this.partials.get(node.name);
+        if (!partial) {
+            throw new Error(`Partial "${node.name}" is not registered`);
+        }
+        
+        const context = node.context ? this.resolve(node.context, frame) : frame.value;
+        return partial(context);
+    }
+    
+    child(frame, value, locals = {}) {
+        return { value, parent: frame, locals: { ...frame.locals, ...locals } };
+    }
+    
+    evaluate(expression, frame) {
+        const helper = this.helpers[expression.head];
+        
+        if (helper) {
+            const args = expression.args.map(arg => this.argumentValue(arg, frame));
+            const hash = {};
+            Object.keys(expression.hash).forEach(key => {
+                hash[key] = this.argumentValue(expression.hash[key], frame);
+            });
+            
+            return helper.apply(this, [...args, { hash, root: frame.locals.root }]);
+        }
+        
+        if (expression.call) {
+            throw new Error(`Unknown template helper "${expression.head}"`);
+        }
+        
+        return this.resolve(expression.head, frame);
+    }
+    
+    argumentValue(arg, frame) {
+        return 'literal' in arg ? arg.literal : this.resolve(arg.path, frame);
+    }
+    
+    resolve(path, frame) {
+        if (path === 'this' || path === '.') return frame.value;
+        
+        if (path.startsWith('@root')) {
+            return this.lookup(frame.locals.root, path.slice(6));
+        }
+        
+        if (path.startsWith('@')) {
+            return frame.locals[path.slice(1)];
+        }
+        
+        let scope = frame;
+        while (path.startsWith('../')) {
+            scope = scope.parent || scope;
+            path = path.slice(3);
+        }
+        
+        if (path.startsWith('this.')) {
+            return this.lookup(scope.value, path.slice(5));
+        }
+        
+        // Walk out through enclosing contexts until the first segment exists
+        const first = path.split('.')[0];
+        for (let candidate = scope; candidate; candidate = candidate.parent) {
+            if (candidate.value !== null && typeof candidate.value === 'object' && first in candidate.value) {
+                return this.lookup(candidate.value, path);
+            }
+        }
+        
+        return undefined;
+    }
+    
+    lookup(value, path) {
+        if (!path) return value;
+        
+        return path.split('.').reduce((current, segment) => {
+            return current === null || current === undefined ? undefined : current[segment];
+        }, value);
+    }
+    
+    toText(value) {
+        if (value === null || value === undefined) return '';
+        return value instanceof NeurixSafeString ? value.html : String(value);
+    }
+    
+    escape(value) {
+        return this.toText(value).replace(/[&<>"'`=]/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&#39;',
+            '`': '&#96;',
+            '=': '&#61;'
+        })[char]);
+    }
+    
+    static defaultHelpers() {
+        return {
+            // formats: short, long, time, relative
+            formatDate(value, format, options) {
+                if (typeof format === 'object') format = 'short';
+                if (value === null || value === undefined || value === '') return '';
+                
+                const date = new Date(value);
+                if (isNaN(date.getTime())) return '';
+                
+                if (format === 'relative') {
+                    const seconds = Math.round((Date.now() - date.getTime()) / 1000);
+                    if (seconds < 60) return 'just now';
+                    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+                    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+                    if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+                    return date.toLocaleDateString();
+                }
+                
+                if (format === 'long') return date.toLocaleString();
+                if (format === 'time') return date.toLocaleTimeString();
+                return date.toLocaleDateString();
+            },
+            
+            formatNumber(value, decimals, options) {
+                if (typeof decimals === 'object') decimals = undefined;
+                const number = Number(value);
+                if (value === null || value === undefined || value === '' || isNaN(number)) return '';
+                
+                return number.toLocaleString(undefined, decimals === undefined ? {} : {
+                    minimumFractionDigits: decimals,
+                    maximumFractionDigits: decimals
+                });
+            },
+            
+            formatBytes(value) {
+                const bytes = Number(value) || 0;
+                if (bytes < 1024) return `${bytes} B`;
+                if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+                if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+                return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+            },
+            
+            truncate(value, length) {
+                const text = value === null || value === undefined ? '' : String(value);
+                return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+            },
+            
+            pluralize(count, singular, plural) {
+                return `${count} ${count === 1 ? singular : (typeof plural === 'string' ? plural : `${singular}s`)}`;
+            },
+            
+            default(value, fallback) {
+                return value === null || value === undefined || value === '' ? fallback : value;
+            },
+            
+            json(value) {
+                return JSON.stringify(value);
+            }
+        };
+    }
+}
+
+/**
+ * Helper output that is already HTML and must not be escaped again.
+ */
+class NeurixSafeString {
+    constructor(html) {
+        this.html = String(html);
+    }
+    
+    toString() {
+        return this.html;
+    }
+}
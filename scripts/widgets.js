@@ -0,0 +1,229 @@
+/**
+ * ChangeX Neurix - Dashboard widgets
+ * Live dashboard cards, each refreshed from its own data source
+ */
+
+/**
+ * A widget pairs a load() that fetches its data with a render() that draws it.
+ * Each widget polls on its own interval and can also follow an app event: the
+ * event payload replaces the data, or is folded into it by merge(). A widget
+ * turns stale once staleAfter passes without fresh data; onStateChange reports
+ * loading/stale changes so the page can mark the card. Polling pauses while the
+ * tab is hidden and overdue widgets refresh as soon as it is visible again.
+ *
+ * load(widget, requestOptions) gets { priority: 'low' } for polled refreshes, so
+ * background polling yields to requests the user is waiting on.
+ */
+class DashboardWidgets {
+    constructor(config = {}) {
+        this.subscribe = config.subscribe || null;
+        this.onStateChange = config.onStateChange || null;
+        this.onError = config.onError || null;
+        this.checkInterval = config.checkInterval || 5000;
+        
+        this.widgets = new Map();
+        this.running = false;
+        this.checkTimer = null;
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+    
+    register(id, options = {}) {
+        this.unregister(id);
+        
+        const widget = {
+            id,
+            regions: options.regions || [id],
+            load: options.load || null,
+            render: options.render,
+            merge: options.merge || null,
+            interval: options.interval || 0, // 0 - no polling
+            staleAfter: options.staleAfter || (options.interval || 0) * 2,
+            data: options.data === undefined ? null : options.data,
+            updatedAt: options.data === undefined ? null : Date.now(),
+            loading: false,
+            stale: false,
+            error: null,
+            timer: null,
+            pending: null,
+            unsubscribe: null
+        };
+        
+        if (options.event && this.subscribe) {
+            widget.unsubscribe = this.subscribe(options.event, (payload) => {
+                this.update(id, widget.merge ? widget.merge(widget.data, payload) : payload);
+            });
+        }
+        
+        this.widgets.set(id, widget);
+        if (this.running) this.schedule(widget);
+        
+        return widget;
+    }
+    
+    unregister(id) {
+        const widget = this.widgets.get(id);
+        if (!widget) return;
+        
+        clearTimeout(widget.timer);
+        if (widget.unsubscribe) widget.unsubscribe();
+        this.widgets.delete(id);
+    }
+    
+    get(id) {
+        return this.widgets.get(id) || null;
+    }
+    
+    start() {
+        if (this.running) return;
+        this.running = true;
+        
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.checkTimer = setInterval(() => this.checkStale(), this.checkInterval);
+        this.widgets.forEach(widget => this.schedule(widget));
+    }
+    
+    stop() {
+        this.running = false;
+        
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+        this.widgets.forEach(widget => clearTimeout(widget.timer));
+    }
+    
+    // Leaving the dashboard
+    clear() {
+        this.stop();
+        [...this.widgets.keys()].forEach(id => this.unregister(id));
+    }
+    
+    // Fresh data from a push or the caller - render it and restart the widget's interval
+    async update(id, data) {
+        const widget = this.widgets.get(id);
+        if (!widget) return;
+        
+        widget.data = data;
+        widget.updatedAt = Date.now();
+        widget.error = null;
+        
+        try {
+            await widget.render(data, widget);
+        } catch (error) {
+            this.handleError(widget, error);
+        }
+        
+        this.checkStale(widget);
+        this.schedule(widget);
+    }
+    
+    // Concurrent calls share the request in flight
+    refresh(id, requestOptions = {}) {
+        const widget = this.widgets.get(id);
+        if (!widget || !widget.load) return Promise.resolve();
+        
+        if (!widget.pending) {
+            widget.pending = this.load(widget, requestOptions).finally(() => {
+                widget.pending = null;
+            });
+        }
+        
+        return widget.pending;
+    }
+    
+    refreshAll() {
+        return Promise.all([...this.widgets.keys()].map(id => this.refresh(id)));
+    }
+    
+    async load(widget, requestOptions = {}) {
+        clearTimeout(widget.timer);
+        this.setLoading(widget, true);
+        
+        try {
+            const data = await widget.load(widget, requestOptions);
+            if (this.widgets.get(widget.id) === widget) {
+                await this.update(widget.id, data);
+            }
+        } catch (error) {
+            if (error.cancelled) return;
+            
+            // Keep showing the last data; it goes stale if this keeps failing
+            widget.error = error;
+            this.handleError(widget, error);
+            this.checkStale(widget);
+            this.schedule(widget);
+        } finally {
+            this.setLoading(widget, false);
+        }
+    }
+    
+    schedule(widget) {
+        clearTimeout(widget.timer);
+        widget.timer = null;
+        
+        if (!this.running || !widget.load || document.hidden) return;
+        
+        const poll = () => this.refresh(widget.id, { priority: 'low' });
+        
+        // Failures retry on the normal interval
+        if (widget.error) {
+            if (widget.interval) {
+                widget.timer = setTimeout(poll, widget.interval);
+            }
+            return;
+        }
+        
+        if (widget.updatedAt && !widget.interval) return;
+        
+        // Never loaded - the page is waiting on it, so it goes out at normal priority
+        if (!widget.updatedAt) {
+            widget.timer = setTimeout(() => this.refresh(widget.id), 0);
+            return;
+        }
+        
+        // Due, or overdue after the tab was hidden
+        widget.timer = setTimeout(poll, Math.max(0, widget.interval - (Date.now() - widget.updatedAt)));
+    }
+    
+    setLoading(widget, loading) {
+        if (widget.loading === loading) return;
+        
+        widget.loading = loading;
+        this.notify(widget);
+    }
+    
+    checkStale(widget = undefined) {
+        const widgets = widget ? [widget] : [...this.widgets.values()];
+        
+        widgets.forEach(item => {
+            const stale = Boolean(item.staleAfter) && (!item.updatedAt || Date.now() - item.updatedAt > item.staleAfter);
+            if (stale === item.stale) return;
+            
+            item.stale = stale;
+            this.notify(item);
+        });
+    }
+    
+    notify(widget) {
+        if (this.onStateChange) {
+            this.onStateChange(widget);
+        }
+    }
+    
+    handleError(widget, error) {
+        if (this.onError) {
+            this.onError(widget, error);
+        } else {
+            console.warn(`Widget ${widget.id} failed:`, error.message);
+        }
+    }
+    
+    handleVisibilityChange() {
+        this.widgets.forEach(widget => {
+            if (document.hidden) {
+                clearTimeout(widget.timer);
+            } else {
+                this.schedule(widget);
+            }
+        });
+    }
+}
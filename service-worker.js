@@ -3,7 +3,7 @@
  * Enables offline functionality and improves performance
  */
 
-const CACHE_NAME = 'changex-neurix-v2.0.0';
+const CACHE_NAME = 'changex-neurix-v2.1.0';
 const API_CACHE_NAME = 'changex-neurix-api-v1';
 
 // Assets to cache on install
@@ -16,7 +16,17 @@ const PRECACHE_ASSETS = [
     '/styles/mobile.css',
     '/scripts/app.js',
     '/scripts/api.js',
+    '/scripts/templates.js',
+    '/scripts/api-client.js',
+    '/scripts/socket.js',
+    '/scripts/router.js',
     '/scripts/components.js',
+    '/scripts/analytics.js',
+    '/scripts/jobs.js',
+    '/scripts/drafts.js',
+    '/scripts/patcher.js',
+    '/scripts/widgets.js',
+    '/scripts/dashboard-layout.js',
     '/scripts/models.js',
     '/scripts/utils.js',
     '/assets/icons/favicon.ico',
@@ -82,6 +92,12 @@ self.addEventListener('fetch', event => {
         return;
     }
     
+    // Handle page templates
+    if (url.pathname.startsWith('/pages/')) {
+        event.respondWith(handleTemplateRequest(event.request));
+        return;
+    }
+    
     // Handle page navigation
     if (event.request.mode === 'navigate') {
         event.respondWith(handlePageNavigation(event.request));
@@ -221,6 +237,34 @@ async function handlePageNavigation(request) {
     }
 }
 
+// Handle page templates with network-first strategy - an edited template must
+// reach the app (the dev hot reload polls them), the cached copy is for offline
+async function handleTemplateRequest(request) {
+    try {
+        const networkResponse = await fetch(request);
+        
+        if (networkResponse.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, networkResponse.clone());
+        }
+        
+        return networkResponse;
+        
+    } catch (error) {
+        // Network failed, try cache
+        const cachedResponse = await caches.match(request);
+        
+        if (cachedResponse) {
+            return cachedResponse;
+        }
+        
+        return new Response('Network error happened', {
+            status: 408,
+            headers: { 'Content-Type': 'text/plain' }
+        });
+    }
+}
+
 // Background sync for offline actions
 self.addEventListener('sync', event => {
     console.log('Service Worker: Background sync', event.tag);
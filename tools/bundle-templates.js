@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * ChangeX Neurix - Template bundler
+ * Parses every page under pages/ with the same engine the browser uses and writes
+ * the result as one script, so production skips fetching and parsing templates.
+ * Include the output after scripts/templates.js; NeurixApp loads it when present.
+ *
+ * Usage: node tools/bundle-templates.js [pagesDir] [output]
+ * Defaults: pages -> scripts/templates.bundle.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.resolve(__dirname, '..');
+const pagesDir = path.resolve(root, process.argv[2] || 'pages');
+const outputPath = path.resolve(root, process.argv[3] || 'scripts/templates.bundle.js');
+
+// templates.js is a browser script, so evaluate it rather than require() it
+function loadEngine() {
+    const sandbox = { console };
+    const source = fs.readFileSync(path.join(root, 'scripts/templates.js'), 'utf8');
+    vm.runInNewContext(`${source}\nthis.NeurixTemplates = NeurixTemplates;`, sandbox);
+    return new sandbox.NeurixTemplates();
+}
+
+function findTemplates(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return findTemplates(fullPath);
+        return entry.name.endsWith('.html') ? [fullPath] : [];
+    });
+}
+
+const engine = loadEngine();
+const templates = {};
+
+findTemplates(pagesDir).sort().forEach(file => {
+    const name = path.relative(pagesDir, file).replace(/\\/g, '/').replace(/\.html$/, '');
+    // Parse errors name the file and line, and fail the build
+    templates[name] = engine.precompile(fs.readFileSync(file, 'utf8'), `${name}.html`);
+});
+
+fs.writeFileSync(outputPath, `/**
+ * ChangeX Neurix - Template bundle
+ * Generated from ${path.relative(root, pagesDir)}/ by tools/bundle-templates.js - do not edit by hand.
+ */
+
+const NEURIX_TEMPLATE_BUNDLE = ${JSON.stringify({ version: 1, templates })};
+`);
+
+console.log(`Wrote ${Object.keys(templates).length} templates to ${path.relative(root, outputPath)}`);
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * ChangeX Neurix - API client generator
+ * Reads an OpenAPI 3 spec and writes a resource-oriented client built on
+ * NeurixAPI.request(). The dotted operationId becomes the method path:
+ * `iot.devices.control` -> client.iot.devices.control(deviceId, body, options).
+ *
+ * Usage: node tools/generate-api-client.js [spec] [output]
+ * Defaults: openapi/neurix-api.json -> scripts/api-client.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const specPath = path.resolve(root, process.argv[2] || 'openapi/neurix-api.json');
+const outputPath = path.resolve(root, process.argv[3] || 'scripts/api-client.js');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function refName(ref) {
+    return ref.split('/').pop();
+}
+
+// JSDoc type expression for a schema
+function jsDocType(schema) {
+    if (!schema) return '*';
+    if (schema.$ref) return schema.nullable ? `(${refName(schema.$ref)}|null)` : refName(schema.$ref);
+    
+    let type;
+    if (schema.enum) {
+        type = schema.enum.map(value => JSON.stringify(value).replace(/"/g, '\'')).join('|');
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+        type = 'number';
+    } else if (schema.type === 'array') {
+        type = `Array<${jsDocType(schema.items)}>`;
+    } else if (schema.type === 'object' || schema.properties) {
+        const properties = Object.keys(schema.properties || {});
+        type = properties.length
+            ? `{${properties.map(name => {
+                const optional = !(schema.required || []).includes(name);
+                return `${name}: ${optional ? `(${jsDocType(schema.properties[name])}|undefined)` : jsDocType(schema.properties[name])}`;
+            }).join(', ')}}`
+            : 'Object';
+    } else {
+        type = schema.type || '*';
+    }
+    
+    return schema.nullable ? `(${type}|null)` : type;
+}
+
+function jsonSchema(content) {
+    const json = content && content['application/json'];
+    return json ? json.schema : null;
+}
+
+function collectOperations(spec) {
+    const operations = [];
+    
+    Object.keys(spec.paths).forEach(route => {
+        const pathItem = spec.paths[route];
+        
+        METHODS.forEach(method => {
+            const operation = pathItem[method];
+            if (!operation) return;
+            
+            if (!operation.operationId) {
+                throw new Error(`${method.toUpperCase()} ${route} has no operationId`);
+            }
+            
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+            const pathParams = route.match(/\{\w+\}/g) || [];
+            const queryParams = parameters.filter(param => param.in === 'query');
+            const success = Object.keys(operation.responses || {}).find(status => /^2/.test(status));
+            const responseSchema = success ? jsonSchema(operation.responses[success].content) : null;
+            
+            operations.push({
+                id: operation.operationId,
+                method: method.toUpperCase(),
+                path: route,
+                summary: operation.summary || '',
+                pathParams: pathParams.map(param => {
+                    const name = param.slice(1, -1);
+                    return parameters.find(p => p.in === 'path' && p.name === name) || { name, schema: { type: 'string' } };
+                }),
+                query: queryParams.length ? {
+                    type: 'object',
+                    required: queryParams.filter(param => param.required).map(param => param.name),
+                    properties: Object.fromEntries(queryParams.map(param => [param.name, param.schema || {}]))
+                } : null,
+                body: operation.requestBody ? {
+                    required: Boolean(operation.requestBody.required),
+                    schema: jsonSchema(operation.requestBody.content)
+                } : null,
+                response: responseSchema,
+                idempotent: Boolean(operation['x-neurix-idempotent'])
+            });
+        });
+    });
+    
+    return operations;
+}
+
+function renderTypedefs(schemas) {
+    return Object.keys(schemas).map(name => {
+        const schema = schemas[name];
+        const lines = ['/**'];
+        
+        if (schema.type === 'object' && schema.properties) {
+            lines.push(` * @typedef {Object} ${name}`);
+            Object.keys(schema.properties).forEach(property => {
+                const optional = !(schema.required || []).includes(property);
+                lines.push(` * @property {${jsDocType(schema.properties[property])}} ${optional ? `[${property}]` : property}`);
+            });
+        } else {
+            lines.push(` * @typedef {${jsDocType(schema)}} ${name}`);
+        }
+        
+        lines.push(' */');
+        return lines.join('\n');
+    }).join('\n\n');
+}
+
+function renderMethod(operation, indent) {
+    const pad = ' '.repeat(indent);
+    const name = operation.id.split('.').pop();
+    const args = operation.pathParams.map(param => param.name);
+    const doc = [`${pad}/**`, `${pad} * ${operation.summary || `${operation.method} ${operation.path}`}`];
+    
+    operation.pathParams.forEach(param => {
+        doc.push(`${pad} * @param {${jsDocType(param.schema)}} ${param.name}`);
+    });
+    
+    let dataArg = 'null';
+    if (operation.body) {
+        args.push('body');
+        dataArg = 'body';
+        doc.push(`${pad} * @param {${jsDocType(operation.body.schema)}} ${operation.body.required ? 'body' : '[body]'}`);
+    } else if (operation.query) {
+        args.push('query');
+        dataArg = 'query';
+        doc.push(`${pad} * @param {${jsDocType(operation.query)}} [query]`);
+    }
+    
+    args.push('options');
+    doc.push(`${pad} * @param {Object} [options] - NeurixAPI request options (tag, signal, timeout, ...)`);
+    doc.push(`${pad} * @returns {Promise<NeurixResponse<${operation.response ? jsDocType(operation.response) : 'null'}>>}`);
+    doc.push(`${pad} */`);
+    
+    const pathObject = operation.pathParams.length
+        ? `{ ${operation.pathParams.map(param => param.name).join(', ')} }`
+        : '{}';
+    
+    return `${doc.join('\n')}\n${pad}${name}: (${args.join(', ')}) => this.call('${operation.id}', ${pathObject}, ${dataArg}, options)`;
+}
+
+// Nest operations by their dotted id and render one object literal per resource
+function renderResources(operations) {
+    const tree = {};
+    
+    operations.forEach(operation => {
+        const parts = operation.id.split('.');
+        let node = tree;
+        
+        parts.slice(0, -1).forEach(part => {
+            node[part] = node[part] || {};
+            if (node[part].__operation) {
+                throw new Error(`${operation.id} nests under operation ${node[part].__operation.id}`);
+            }
+            node = node[part];
+        });
+        
+        node[parts[parts.length - 1]] = { __operation: operation };
+    });
+    
+    const renderNode = (node, indent) => {
+        const pad = ' '.repeat(indent);
+        return Object.keys(node).map(key => {
+            const child = node[key];
+            if (child.__operation) return renderMethod(child.__operation, indent);
+            return `${pad}${key}: {\n${renderNode(child, indent + 4)}\n${pad}}`;
+        }).join(`,\n${pad}\n`);
+    };
+    
+    return Object.keys(tree).map(key => {
+        const child = tree[key];
+        if (child.__operation) {
+            throw new Error(`Top-level operation ${key} needs a resource prefix`);
+        }
+        return `        this.${key} = {\n${renderNode(child, 12)}\n        };`;
+    }).join('\n        \n');
+}
+
+function indentJSON(value, indent) {
+    return JSON.stringify(value, null, 4).split('\n').join(`\n${' '.repeat(indent)}`);
+}
+
+function generate(spec) {
+    const schemas = (spec.components && spec.components.schemas) || {};
+    const operations = collectOperations(spec);
+    const operationTable = Object.fromEntries(operations.map(operation => [operation.id, {
+        method: operation.method,
+        path: operation.path,
+        query: operation.query,
+        body: operation.body,
+        response: operation.response,
+        idempotent: operation.idempotent
+    }]));
+    
+    return `/**
+ * ChangeX Neurix - API Client
+ * Generated from ${path.relative(root, specPath)} (${spec.info.title} ${spec.info.version})
+ * by tools/generate-api-client.js - do not edit by hand.
+ */
+
+${renderTypedefs(schemas)}
+
+/**
+ * @template T
+ * @typedef {Object} NeurixResponse
+ * @property {boolean} success
+ * @property {number} status
+ * @property {T} data
+ * @property {Object<string, string>} headers
+ */
+
+const NEURIX_API_SCHEMAS = ${indentJSON(schemas, 0)};
+
+const NEURIX_API_OPERATIONS = ${indentJSON(operationTable, 0)};
+
+class NeurixAPIClient {
+    /**
+     * @param {NeurixAPI} api
+     * @param {Object} [options]
+     * @param {boolean} [options.validate=false] - check requests and responses against the spec (development only)
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.validate = Boolean(options.validate);
+        this.validator = new NeurixSchemaValidator(NEURIX_API_SCHEMAS);
+        
+${renderResources(operations)}
+    }
+    
+    async call(operationId, pathParams, data, options = {}) {
+        const operation = NEURIX_API_OPERATIONS[operationId];
+        
+        const endpoint = operation.path.replace(/\\{(\\w+)\\}/g, (match, name) => {
+            const value = pathParams[name];
+            if (value === undefined || value === null || value === '') {
+                throw new ValidationError(\`Missing path parameter "\${name}" for \${operationId}\`, {
+                    errors: { [name]: ['is required'] }
+                });
+            }
+            return encodeURIComponent(value);
+        });
+        
+        if (this.validate) {
+            this.validateRequest(operationId, operation, data);
+        }
+        
+        const response = await this.api.request(operation.method, endpoint, data, {
+            ...(operation.idempotent ? { idempotent: true } : {}),
+            ...options
+        });
+        
+        if (this.validate && operation.response && response.status !== 304) {
+            const errors = this.validator.validate(response.data, operation.response);
+            if (errors.length > 0) {
+                console.warn(\`\${operationId}: response does not match the API spec\`, errors);
+            }
+        }
+        
+        return response;
+    }
+    
+    // Throws the same ValidationError a 422 would, so forms show it inline
+    validateRequest(operationId, operation, data) {
+        let errors = [];
+        
+        if (operation.body) {
+            if (data === null || data === undefined) {
+                if (operation.body.required) errors.push({ field: '_', message: 'Request body is required' });
+            } else {
+                errors = this.validator.validate(data, operation.body.schema);
+            }
+        } else if (operation.query && data) {
+            errors = this.validator.validate(data, operation.query);
+        }
+        
+        if (errors.length > 0) {
+            throw new ValidationError(\`\${operationId}: request does not match the API spec\`, {
+                code: 'CLIENT_VALIDATION',
+                errors
+            });
+        }
+    }
+}
+`;
+}
+
+const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+fs.writeFileSync(outputPath, generate(spec));
+console.log(`Wrote ${path.relative(root, outputPath)}`);